@@ -0,0 +1,127 @@
+/*
+ * pushit remote directories and file attributes
+ *
+ * Builds the commands that create the directories that files are copied
+ * into (checking that the roots they're under exist), and that set the
+ * mode and ownership of the copied files, for mappings that have "mode",
+ * "owner" or "group"
+ */
+
+
+var common = require('./common');
+var fmt = require('util').format;
+var path = require('path');
+var shellQuote = common.shellQuote;
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns a shell command that creates the parent directories of the
+ * copies' destinations (and the destinations of directories, which scp
+ * copies the contents of), or null if they're all copied to /.  For
+ * copies with a root, the directories are only created if the root
+ * exists, so that copying into a missing root fails.
+ */
+function mkdirCmd(copies) {
+    var byRoot = {};
+    var cmds = [];
+
+    copies.forEach(function (copy) {
+        var dir = copy.isDir ? copy.dest : path.posix.dirname(copy.dest);
+        var root = copy.root || '';
+
+        if (!byRoot.hasOwnProperty(root)) {
+            byRoot[root] = [];
+        }
+
+        if (dir !== '/' && dir !== copy.root
+            && byRoot[root].indexOf(dir) === -1) {
+            byRoot[root].push(dir);
+        }
+    });
+
+    Object.keys(byRoot).sort().forEach(function (root) {
+        if (byRoot[root].length === 0) {
+            return;
+        }
+
+        var cmd = fmt('mkdir -p -- %s',
+            byRoot[root].sort().map(shellQuote).join(' '));
+        cmds.push(root === '' ? cmd :
+            fmt('if [ -d %s ]; then %s; fi', shellQuote(root), cmd));
+    });
+
+    return cmds.length === 0 ? null : cmds.join(' && ');
+}
+
+
+/*
+ * Returns a shell command that fails if any of the copies' roots (see
+ * hookRoot() in pushit.js) don't exist, or null if none of them have one
+ */
+function rootsCmd(copies) {
+    var roots = [];
+
+    copies.forEach(function (copy) {
+        if (copy.root && roots.indexOf(copy.root) === -1) {
+            roots.push(copy.root);
+        }
+    });
+
+    var cmds = roots.sort().map(function (root) {
+        return fmt('if [ ! -d %s ]; then echo %s >&2; exit 1; fi',
+            shellQuote(root), shellQuote(root + ': No such directory'));
+    });
+
+    return cmds.length === 0 ? null : cmds.join(' && ');
+}
+
+
+/*
+ * Returns a shell command that sets the owner, group and mode of the
+ * copies that have them in their "attrs", or null if none of them do.
+ * Directories are chowned along with everything in them, and the mode is
+ * set on the files in them (so that the directories stay searchable).
+ */
+function attrsCmd(copies) {
+    var cmds = [];
+
+    copies.forEach(function (copy) {
+        var a = copy.attrs;
+        var dest = shellQuote(copy.dest);
+        var recurse = copy.isDir ? '-R ' : '';
+
+        if (!a) {
+            return;
+        }
+
+        if (a.owner) {
+            cmds.push(fmt('chown %s%s -- %s', recurse,
+                shellQuote(a.owner + (a.group ? ':' + a.group : '')), dest));
+        } else if (a.group) {
+            cmds.push(fmt('chgrp %s%s -- %s', recurse, shellQuote(a.group),
+                dest));
+        }
+
+        if (a.mode && copy.isDir) {
+            cmds.push(fmt('find %s -type f -exec chmod %s {} +', dest,
+                a.mode));
+        } else if (a.mode) {
+            cmds.push(fmt('chmod %s -- %s', a.mode, dest));
+        }
+    });
+
+    return cmds.length === 0 ? null : cmds.join(' && ');
+}
+
+
+
+module.exports = {
+    attrsCmd: attrsCmd,
+    mkdirCmd: mkdirCmd,
+    rootsCmd: rootsCmd
+};
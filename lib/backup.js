@@ -0,0 +1,154 @@
+/*
+ * pushit remote backups
+ *
+ * Builds the commands that save remote files before a push overwrites
+ * them, and that put them back for --undo
+ */
+
+
+var common = require('./common');
+var fmt = require('util').format;
+var path = require('path');
+var shellQuote = common.shellQuote;
+
+
+// Where backups are stored on the remote host
+var BACKUP_DIR = '/var/tmp/pushit-backups';
+
+
+
+/*
+ * Returns the directories above paths (apart from /), which the push will
+ * create if they don't exist
+ */
+function parents(paths) {
+    var dirs = [];
+
+    paths.forEach(function (p) {
+        var dir = path.posix.dirname(p);
+        while (dir !== '/' && dir !== '.' && dirs.indexOf(dir) === -1) {
+            dirs.push(dir);
+            dir = path.posix.dirname(dir);
+        }
+    });
+
+    return dirs.sort();
+}
+
+
+/*
+ * Returns paths relative to /, which is where the backup commands are run
+ * from (so that tar archives don't contain absolute paths)
+ */
+function fromRoot(paths) {
+    return paths.map(function (p) {
+        return p.replace(/^\/+/, '');
+    }).filter(function (p) {
+        return p !== '';
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns the remote directory to store the backups for push id in
+ */
+function backupDir(id) {
+    return fmt('%s/%s', BACKUP_DIR, id);
+}
+
+
+/*
+ * Returns a shell command that archives the files in dests that exist to
+ * tarName in dir, and prints which of them were saved and which don't
+ * exist yet (and so will be created by the push).  It also prints which of
+ * the directories above copied (the dests being copied rather than
+ * deleted) don't exist yet.  Returns null if there's nothing to back up.
+ */
+function backupCmd(dir, tarName, dests, copied) {
+    var files = fromRoot(dests);
+    var dirs = fromRoot(parents(copied));
+    if (files.length === 0) {
+        return null;
+    }
+
+    return [
+        'cd / &&',
+        dirs.length === 0 ? '' : fmt('for d in %s; do if [ ! -e "$d" ]; '
+            + 'then printf "createdDir /%%s\\n" "$d"; fi; done &&',
+            dirs.map(shellQuote).join(' ')),
+        'set -- &&',
+        fmt('for f in %s; do', files.map(shellQuote).join(' ')),
+        'if [ -e "$f" ] || [ -h "$f" ]; then',
+        'set -- "$@" "$f"; printf "saved /%s\\n" "$f";',
+        'else printf "created /%s\\n" "$f"; fi;',
+        'done',
+        fmt('&& if [ $# -gt 0 ]; then mkdir -p %s && tar cf %s "$@"; fi',
+            shellQuote(dir), shellQuote(dir + '/' + tarName))
+    ].filter(function (part) {
+        return part !== '';
+    }).join(' ');
+}
+
+
+/*
+ * Parses the output of a backupCmd() command into lists of the paths that
+ * were saved, and the paths and directories that will be created
+ */
+function parseBackup(stdout) {
+    var res = { created: [], createdDirs: [], saved: [] };
+
+    stdout.split('\n').forEach(function (line) {
+        var m = /^(created|createdDir|saved) (.+)$/.exec(line);
+        if (m) {
+            res[m[1] === 'createdDir' ? 'createdDirs' : m[1]].push(m[2]);
+        }
+    });
+
+    return res;
+}
+
+
+/*
+ * Returns a shell command that undoes a push recorded in the history file:
+ * it unpacks the saved files over the pushed ones, removes the files and
+ * then the directories that the push created, then removes the backups.
+ * Directories are only removed if they're empty, in case something else
+ * has put files in them since.
+ */
+function undoCmd(record) {
+    var cmds = [ 'cd /' ];
+
+    record.tars.forEach(function (tarName) {
+        cmds.push(fmt('tar xof %s', shellQuote(record.dir + '/' + tarName)));
+    });
+
+    if (record.created.length !== 0) {
+        cmds.push('rm -rf -- '
+            + fromRoot(record.created).map(shellQuote).join(' '));
+    }
+
+    // Older records don't have createdDirs.  Reverse order removes the
+    // directories in each one before it.
+    var dirs = fromRoot(record.createdDirs || []).sort().reverse();
+    if (dirs.length !== 0) {
+        cmds.push(fmt('for d in %s; do rmdir -- "$d" 2>/dev/null || true; '
+            + 'done', dirs.map(shellQuote).join(' ')));
+    }
+
+    cmds.push(fmt('rm -rf -- %s', shellQuote(record.dir)));
+    return cmds.join(' && ');
+}
+
+
+
+module.exports = {
+    backupCmd: backupCmd,
+    backupDir: backupDir,
+    parseBackup: parseBackup,
+    undoCmd: undoCmd
+};
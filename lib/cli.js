@@ -0,0 +1,1216 @@
+/*
+ * pushit - pushes files from a git repo to a remote server
+ *
+ * CLI entry points: parses the command line, calls the API in pushit.js and
+ * prints the results
+ */
+
+var common = require('./common');
+var dashdash = require('dashdash');
+var debug = common.debug;
+var errorList = common.errorList;
+var fmt = require('util').format;
+var path = require('path');
+var pushit = require('./pushit');
+var readline = require('readline');
+var verbose = common.verbose;
+
+
+
+// --- Globals
+
+
+
+var COLOUR_END = '\033[39m';
+var COLOUR_GREEN = '\033[32m';
+var COLOUR_RED = '\033[31m';
+// Exit statuses for each kind of error (other errors exit with 1)
+var EXIT_STATUS = {
+    config: 2,
+    git: 3,
+    hook: 4,
+    transfer: 5,
+    modified: 6
+};
+// dashdash options
+var OPTS = [
+    {
+        names: [ 'all', 'a' ],
+        type: 'bool',
+        help: 'Push all changed files.'
+    },
+    {
+        names: [ 'untracked', 'u' ],
+        type: 'bool',
+        help: 'With -a, also push files that aren\'t tracked by git.'
+    },
+    {
+        names: [ 'since' ],
+        type: 'string',
+        helpArg: 'REF',
+        help: 'Push all files changed since this branch forked from REF '
+            + '(eg: origin/master), including uncommitted changes.'
+    },
+    {
+        names: [ 'commit' ],
+        type: 'string',
+        helpArg: 'REV',
+        help: 'Push all files changed in commit REV (their contents in '
+            + 'the working tree, not at REV).'
+    },
+    {
+        names: [ 'propagate-deletes' ],
+        type: 'bool',
+        help: 'With -a, --since or --commit, delete files on the host that '
+            + 'have been deleted (or renamed) in the repo.'
+    },
+    {
+        names: [ 'host', 'h' ],
+        type: 'arrayOfString',
+        help: 'Set the destination host. Can be given more than once to '
+            + 'push to several hosts.'
+    },
+    {
+        names: [ 'group', 'g' ],
+        type: 'arrayOfString',
+        help: 'Push to all of the hosts in this group from ~/.pushitrc. '
+            + 'Can be given more than once.'
+    },
+    {
+        names: [ 'default', 'd' ],
+        type: 'string',
+        help: 'Save the default host. Running without --host will '
+            + ' push to the default host.'
+    },
+    {
+        names: [ 'show-default' ],
+        type: 'bool',
+        help: 'Print the default host.'
+    },
+    {
+        names: [ 'help', '?' ],
+        type: 'bool',
+        help: 'Print this help and exit.'
+    },
+    {
+        names: [ 'config' ],
+        type: 'string',
+        env: 'PUSHITRC',
+        helpArg: 'FILE',
+        help: 'Use this config file instead of ~/.pushitrc.'
+    },
+    {
+        names: [ 'repos' ],
+        type: 'string',
+        env: 'PUSHIT_REPOS',
+        helpArg: 'FILE',
+        help: 'Use this repos file instead of ~/.pushit-repos.'
+    },
+    {
+        names: [ 'check-config' ],
+        type: 'bool',
+        help: 'Check the config and repos files (and the current repo\'s '
+            + '.pushit.json) for problems and exit.'
+    },
+    {
+        names: [ 'repo' ],
+        type: 'bool',
+        help: 'Print the current repo, for setting in ~/.pushit-repos'
+    },
+    {
+        names: [ 'init' ],
+        type: 'bool',
+        help: 'Add an entry for the current repo to ~/.pushit-repos, asking '
+            + 'where each of its directories should be pushed to.'
+    },
+    {
+        names: [ 'remote', 'r' ],
+        type: 'string',
+        helpArg: 'NAME',
+        help: 'Identify the repo by this git remote (by default, the first '
+            + 'remote with an entry in ~/.pushit-repos, trying "origin" '
+            + 'first).'
+    },
+    {
+        names: [ 'transport', 't' ],
+        type: 'string',
+        helpArg: 'TYPE',
+        help: 'How to copy files: "scp" (one scp per file, the default), '
+            + '"rsync" (one rsync per file, only sending changes) or "tar" '
+            + '(all files to a host in one tar stream over ssh).  Overrides '
+            + 'the repo\'s "transport" setting.'
+    },
+    {
+        names: [ 'mirror' ],
+        type: 'bool',
+        help: 'With the rsync transport, delete remote files in directories '
+            + 'being pushed that no longer exist locally.'
+    },
+    {
+        names: [ 'concurrency', 'c' ],
+        type: 'positiveInteger',
+        default: 10,
+        helpArg: 'N',
+        help: 'With the scp and rsync transports, the maximum number of files '
+            + 'to copy to each host at once.'
+    },
+    {
+        names: [ 'transfer-timeout' ],
+        type: 'positiveInteger',
+        helpArg: 'SECS',
+        help: 'Give up on a copy or a command on the host if it takes '
+            + 'longer than this (default: 600, or "transferTimeout" in '
+            + '~/.pushitrc). 0 means no timeout.'
+    },
+    {
+        names: [ 'hook-timeout' ],
+        type: 'positiveInteger',
+        helpArg: 'SECS',
+        help: 'Give up on a hook if it takes longer than this (default: '
+            + '60, or "hookTimeout" in ~/.pushitrc). 0 means no timeout.'
+    },
+    {
+        names: [ 'retries' ],
+        type: 'positiveInteger',
+        helpArg: 'N',
+        help: 'Try copies, hooks and commands that fail because ssh '
+            + 'can\'t connect to the host up to N more times (default: 2, '
+            + 'or "retries" in ~/.pushitrc).'
+    },
+    {
+        names: [ 'diff' ],
+        type: 'bool',
+        help: 'Instead of pushing, compare the files with the ones on the '
+            + 'host, and print whether each is identical, different or '
+            + 'missing there.'
+    },
+    {
+        names: [ 'unified' ],
+        type: 'bool',
+        help: 'With --diff, also print a unified diff of each file that '
+            + 'is different.'
+    },
+    {
+        names: [ 'all-mapped' ],
+        type: 'string',
+        helpArg: 'DIR',
+        help: 'With pull, pull every file that git tracks in DIR (and that '
+            + 'the repo\'s paths map) instead of the files given.'
+    },
+    {
+        names: [ 'show' ],
+        type: 'bool',
+        help: 'With pull, print the remote files instead of writing them '
+            + 'to the repo.'
+    },
+    {
+        names: [ 'force', 'f' ],
+        type: 'bool',
+        help: 'With pull, overwrite local files that have uncommitted '
+            + 'changes.'
+    },
+    {
+        names: [ 'no-backup' ],
+        type: 'bool',
+        help: 'Don\'t back up the files on the host before overwriting '
+            + 'them (so the push can\'t be undone).'
+    },
+    {
+        names: [ 'undo' ],
+        type: 'bool',
+        help: 'Undo the last push to the host: restore the files it '
+            + 'overwrote, and remove the ones it created.  Doesn\'t run '
+            + 'the repo\'s after commands.'
+    },
+    {
+        names: [ 'history' ],
+        type: 'bool',
+        help: 'List earlier pushes: the host, repo and number of files for '
+            + 'each (with -v, where each file went).'
+    },
+    {
+        names: [ 'again' ],
+        type: 'bool',
+        help: 'Push the same files as the last push from this repo again '
+            + '(or with N, the push N back), to the same hosts unless '
+            + '--host or --group is given.'
+    },
+    {
+        names: [ 'no-cache' ],
+        type: 'bool',
+        help: 'Don\'t use or save cached hook values: always run hooks.'
+    },
+    {
+        names: [ 'clear-cache' ],
+        type: 'bool',
+        help: 'Remove all cached hook values and exit.'
+    },
+    {
+        names: [ 'dryrun' ],
+        type: 'bool',
+        help: 'Print out files to copy, but don\'t actually copy them.'
+    },
+    {
+        names: [ 'debug' ],
+        type: 'bool',
+        help: 'Output debug information.'
+    },
+    {
+        names: [ 'verbose', 'v' ],
+        type: 'bool',
+        help: 'Verbose output.'
+    },
+    {
+        names: [ 'json', 'j' ],
+        type: 'bool',
+        help: 'Print a JSON report of each file pushed (or compared with '
+            + '--diff), instead of the usual output.'
+    },
+    {
+        names: [ 'watch', 'w' ],
+        type: 'bool',
+        help: 'Keep running, and push files in the repo\'s mapped paths '
+            + 'as they change.'
+    },
+    {
+        names: [ 'watch-delay' ],
+        type: 'positiveInteger',
+        default: 300,
+        helpArg: 'MS',
+        help: 'With --watch, wait until no files have changed for this '
+            + 'many milliseconds before pushing.'
+    }
+];
+
+
+
+// --- Utilities
+
+
+
+/*
+ * Exits the program with an error message
+ */
+function exit() {
+    printErr.apply(null, arguments);
+    process.exit(1);
+}
+
+
+/*
+ * Usage
+ */
+function usage(parser) {
+    console.log([
+        'Usage:',
+        '    pushit [options] --host <user@hostname> <files>',
+        '    pushit [options] --host <user@hostname> -a',
+        '    pushit [options] --default <user@hostname>',
+        '    pushit [options] <files>',
+        '    pushit [options] -a',
+        '    pushit [options] --since <ref>',
+        '    pushit [options] --commit <rev>',
+        '    pushit [options] --watch',
+        '    pushit [options] --diff <files>',
+        '    pushit [options] pull <files>',
+        '    pushit [options] pull --all-mapped <dir>',
+        '    pushit [options] --undo',
+        '    pushit [options] --history',
+        '    pushit [options] --again [N]',
+        '    pushit [options] --init',
+        '',
+        'Options:'
+    ].join('\n') + '\n'
+        + parser.help({includeEnv: true}).trimRight()
+    );
+
+    process.exit(0);
+}
+
+
+/*
+ * Returns where the value of a dashdash option came from, for debugging
+ * (eg: where the config file location was set)
+ */
+function optSource(opts, key, envName) {
+    var source = 'default';
+    opts._order.forEach(function (o) {
+        if (o.key === key) {
+            source = (o.from === 'env') ? '$' + envName : '--' + key;
+        }
+    });
+
+    return source;
+}
+
+
+/**
+ * Returns an ANSI colourised error string
+ */
+function errStr() {
+    return COLOUR_RED + 'Error: ' + COLOUR_END
+        + fmt.apply(null, Array.prototype.slice.apply(arguments));
+}
+
+
+/**
+ * Returns an ANSI colourised OK (success) string
+ */
+function okStr() {
+    return COLOUR_GREEN
+        + fmt.apply(null, Array.prototype.slice.apply(arguments))
+        + COLOUR_END;
+}
+
+
+/*
+ * Returns a red string, for things that aren't errors but need attention
+ */
+function badStr() {
+    return COLOUR_RED
+        + fmt.apply(null, Array.prototype.slice.apply(arguments))
+        + COLOUR_END;
+}
+
+
+/**
+ * Prints out a colourised error string
+ */
+function printErr() {
+    return console.error(errStr.apply(null, arguments));
+}
+
+
+/*
+ * Sets the status to exit with for err, based on its kind
+ */
+function setExitStatus(err) {
+    if (err) {
+        process.exitCode = EXIT_STATUS[common.errorKind(err)] || 1;
+    }
+}
+
+
+/**
+ * Prints out an error, or each of the errors in a MultiError, and sets the
+ * exit status for it
+ */
+function printErrors(err) {
+    setExitStatus(err);
+    errorList(err).forEach(function (e) {
+        printErr(e.message);
+    });
+}
+
+
+/*
+ * Returns a function for asking questions on the terminal:
+ * prompt(question, callback(answer)).  Answers that were piped in before
+ * their questions were asked are kept until they're needed.  If the input
+ * ends before a question is answered, the program exits.  Call its close()
+ * method when done.
+ */
+function prompter() {
+    var closed = false;
+    var lines = [];
+    var waiting = null;
+    var rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    rl.on('line', function (line) {
+        if (!waiting) {
+            return lines.push(line);
+        }
+
+        var cb = waiting;
+        waiting = null;
+        return cb(line);
+    });
+
+    rl.on('close', function () {
+        closed = true;
+        if (waiting) {
+            console.log('');
+            exit('No answer given');
+        }
+    });
+
+    function prompt(question, callback) {
+        if (lines.length !== 0) {
+            console.log(question + lines[0]);
+            return callback(lines.shift());
+        }
+
+        if (closed) {
+            return exit('No answer given');
+        }
+
+        waiting = callback;
+        rl.setPrompt(question);
+        rl.prompt();
+    }
+
+    prompt.close = function () {
+        rl.close();
+    };
+
+    return prompt;
+}
+
+
+/*
+ * Asks a question, and calls callback(answer), where answer is def if
+ * nothing was entered
+ */
+function ask(prompt, question, def, callback) {
+    prompt(fmt('%s [%s]: ', question, def), function (answer) {
+        return callback(answer.trim() || def);
+    });
+}
+
+
+/*
+ * Asks a yes or no question, and calls callback(yes), where yes is def if
+ * nothing was entered
+ */
+function confirm(prompt, question, def, callback) {
+    prompt(fmt('%s [%s] ', question, def ? 'Y/n' : 'y/N'), function (answer) {
+        answer = answer.trim().toLowerCase();
+        return callback(answer === '' ? def : answer[0] === 'y');
+    });
+}
+
+
+/*
+ * Prints the commands that would have been run in a dry run
+ */
+function printDryrun(events) {
+    events.on('dryrun', function (cmd) {
+        console.log('# %s', cmd);
+    });
+}
+
+
+/*
+ * Collects the dry run commands from a push, for --json.  Returns a
+ * function that returns the commands collected so far (and starts
+ * collecting again, for the next push in --watch mode).
+ */
+function collectEvents(events) {
+    var commands = [];
+
+    events.on('dryrun', function (cmd, host, argv) {
+        commands.push({ cmd: cmd, argv: argv, host: host || null });
+    });
+
+    return function take() {
+        var taken = commands;
+        commands = [];
+        return { commands: taken };
+    };
+}
+
+
+/*
+ * Returns the messages of the errors in err, one per line
+ */
+function errMessages(err) {
+    return errorList(err).map(function (e) {
+        return e.message;
+    }).join('\n');
+}
+
+
+/*
+ * Returns the --json report entry for a file (f has path, mapping and
+ * deleted properties) on host
+ */
+function fileRecord(f, host, dest) {
+    return {
+        host: host,
+        path: f.path,
+        mapping: f.mapping,
+        dest: dest,
+        deleted: f.deleted,
+        status: 'resolved',
+        error: null
+    };
+}
+
+
+/*
+ * Returns the --json report for a push: the status of each file on each
+ * host, the result for each host and any errors
+ */
+function jsonReport(opts, collected, err, result) {
+    var files = [];
+
+    result.hosts.forEach(function (h) {
+        if (!opts.diff) {
+            (h.files || []).forEach(function (f) {
+                var rec = fileRecord(f, h.host, f.dest);
+                rec.status = f.status;
+                rec.error = f.error;
+                files.push(rec);
+            });
+            return;
+        }
+
+        (h.report || []).forEach(function (f) {
+            var rec = fileRecord({ path: f.path, mapping: null,
+                deleted: false }, h.host, f.remote);
+            rec.status = f.status;
+            if (f.diff) {
+                rec.diff = f.diff;
+            }
+            files.push(rec);
+        });
+    });
+
+    return {
+        ok: !err,
+        id: result.id || null,
+        files: files,
+        hosts: result.hosts.map(function (h) {
+            return {
+                host: h.host,
+                ok: !h.err,
+                pushed: h.pushed,
+                deleted: h.deleted,
+                error: h.err ? errMessages(h.err) : null
+            };
+        }),
+        commands: collected.commands,
+        errors: (err ? errorList(err) : []).map(function (e) {
+            return { kind: e.kind || null, message: e.message };
+        })
+    };
+}
+
+
+/*
+ * Prints the success or failure of the push to each host, if there was
+ * more than one
+ */
+function printHostSummary(result) {
+    if (result.hosts.length < 2) {
+        return;
+    }
+
+    result.hosts.forEach(function (res) {
+        if (!res.err) {
+            console.log('%s: %s', res.host, okStr('pushed %d file(s)%s',
+                res.pushed,
+                res.deleted ? fmt(', deleted %d', res.deleted) : ''));
+            return;
+        }
+
+        errorList(res.err).forEach(function (e) {
+            console.error('%s: %s', res.host, errStr(e.message));
+        });
+    });
+}
+
+
+/*
+ * Prints the outcome of the push for each file on each host: whether it
+ * was pushed (or deleted), or why it failed or was skipped
+ */
+function printFileSummary(result) {
+    var multi = result.hosts.length > 1;
+
+    result.hosts.forEach(function (res) {
+        var prefix = multi ? res.host + ': ' : '';
+
+        (res.files || []).forEach(function (file) {
+            var label = file.dest ?
+                fmt('%s => %s', file.path, file.dest) : file.path;
+            var status = fmt('%s', file.status);
+            while (status.length < 9) {
+                status += ' ';
+            }
+
+            if ([ 'pushed', 'deleted' ].indexOf(file.status) !== -1) {
+                return console.log('%s%s %s', prefix, okStr(status), label);
+            }
+
+            // Skipped files are explained by the error for their host.  For
+            // failed commands, the last line is usually what they printed
+            // about why.
+            var lines = (file.error || '').trim().split('\n');
+            console.log('%s%s %s%s', prefix, badStr(status), label,
+                file.status === 'failed' ?
+                fmt(' (%s)', lines[lines.length - 1].trim()) : '');
+        });
+    });
+}
+
+
+/*
+ * Prints the results of comparing the files with the ones on each host
+ * for --diff
+ */
+function printReport(result) {
+    var multi = result.hosts.length > 1;
+
+    result.hosts.forEach(function (res) {
+        var prefix = multi ? res.host + ': ' : '';
+
+        // With only one host, its error is printed by printErrors()
+        if (res.err && multi) {
+            errorList(res.err).forEach(function (e) {
+                console.error('%s%s', prefix, errStr(e.message));
+            });
+        }
+
+        (res.report || []).forEach(function (file) {
+            var status = fmt('%s', file.status);
+            while (status.length < 9) {
+                status += ' ';
+            }
+
+            console.log('%s%s %s', prefix,
+                [ 'identical', 'pulled' ].indexOf(file.status) !== -1 ?
+                okStr(status) : badStr(status), file.label);
+
+            if (file.diff) {
+                process.stdout.write(file.diff);
+            }
+        });
+    });
+}
+
+
+/*
+ * Converts the command-line options into options for the API
+ */
+function apiOpts(opts) {
+    return {
+        all: opts.all,
+        allMapped: opts.all_mapped,
+        backup: !opts.no_backup,
+        cache: !opts.no_cache,
+        commit: opts.commit,
+        concurrency: opts.concurrency,
+        configFile: opts.config,
+        diff: opts.diff,
+        dryrun: opts.dryrun,
+        files: opts._args,
+        force: opts.force,
+        group: opts.group,
+        hookTimeout: opts.hook_timeout,
+        host: opts.host,
+        mirror: opts.mirror,
+        propagateDeletes: opts.propagate_deletes,
+        remote: opts.remote,
+        reposFile: opts.repos,
+        retries: opts.retries,
+        show: opts.show,
+        since: opts.since,
+        transferTimeout: opts.transfer_timeout,
+        transport: opts.transport,
+        unified: opts.unified,
+        untracked: opts.untracked,
+        watchDelay: opts.watch_delay
+    };
+}
+
+
+
+// --- Entry functions
+
+
+
+/*
+ * Sets the hostname and username to push to, keeping any other settings
+ * in the config file
+ */
+function setHost(opts) {
+    var aOpts = apiOpts(opts);
+    aOpts.host = opts.default;
+
+    pushit.setDefaultHost(aOpts, function (err) {
+        if (err) {
+            return exit(err.message);
+        }
+    });
+}
+
+
+/*
+ * Prints username@hostname
+ */
+function getHost(opts) {
+    pushit.defaultHost(apiOpts(opts), function (err, host) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        console.log(host);
+    });
+}
+
+
+/*
+ * Prints out the current repo (that will be used by pushit for its id)
+ */
+function printRepo(opts) {
+    pushit.repoName(apiOpts(opts), function (err, repo) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        return console.log(repo);
+    });
+}
+
+
+/*
+ * Asks where each of the repo's top-level directories should be pushed to
+ * (checking which of them exist on the default host, if the user wants),
+ * and adds an entry for the repo to the repos file
+ */
+function init(opts) {
+    var aOpts = apiOpts(opts);
+    var file = opts.repos || '~/.pushit-repos';
+
+    pushit.initInfo(aOpts, function (err, info) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        if (info.entry !== null) {
+            return exit('Repo "%s" already has an entry in %s: "%s"',
+                info.repo, file, info.entry);
+        }
+
+        var paths = [];
+        var prompt = prompter();
+
+        function remoteDir(base, dir) {
+            return path.posix.join(base, dir);
+        }
+
+        function chooseDirs(base, existing) {
+            var i = 0;
+
+            function next() {
+                if (i === info.dirs.length) {
+                    return addEntry();
+                }
+
+                var dir = info.dirs[i++];
+                var remote = remoteDir(base, dir);
+                var found = !existing || existing.indexOf(remote) !== -1;
+
+                confirm(prompt, fmt('Push %s/ to %s%s?', dir, remote,
+                    found ? '' : badStr(' (not on %s)', info.host)), found,
+                    function (yes) {
+                    if (yes) {
+                        paths.push(fmt('./%s=%s', dir, remote));
+                    }
+
+                    return next();
+                });
+            }
+
+            next();
+        }
+
+        function addEntry() {
+            var repos = {};
+
+            if (paths.length === 0) {
+                prompt.close();
+                return exit('No directories chosen: not adding "%s" to %s',
+                    info.repo, file);
+            }
+
+            repos[info.repo] = { paths: paths };
+            console.log(JSON.stringify(repos, null, 4));
+
+            confirm(prompt, fmt('Add this to %s?', file), true, function (yes) {
+                prompt.close();
+                if (!yes) {
+                    return null;
+                }
+
+                pushit.addRepo(aOpts, info.repo, repos[info.repo],
+                    function (addErr) {
+                    if (addErr) {
+                        return printErrors(addErr);
+                    }
+
+                    console.log(okStr('Added "%s" to %s', info.repo, file));
+                });
+            });
+        }
+
+        console.log('Adding repo "%s" from %s', info.repo, info.top);
+        ask(prompt, 'Remote directory to push the repo to',
+            '/opt/' + path.basename(info.top), function (base) {
+            // A repo without any directories is pushed as a whole
+            if (info.dirs.length === 0) {
+                paths.push('.=' + base);
+                return addEntry();
+            }
+
+            if (info.host === null) {
+                return chooseDirs(base, null);
+            }
+
+            confirm(prompt, fmt('Check which directories exist on %s?',
+                info.host), true, function (check) {
+                if (!check) {
+                    return chooseDirs(base, null);
+                }
+
+                aOpts.host = info.host;
+                pushit.checkRemoteDirs(aOpts, info.dirs.map(function (dir) {
+                    return remoteDir(base, dir);
+                }), function (checkErr, existing) {
+                    if (checkErr) {
+                        printErr(checkErr.message);
+                        return chooseDirs(base, null);
+                    }
+
+                    return chooseDirs(base, existing);
+                });
+            });
+        });
+    });
+}
+
+
+/*
+ * Removes all cached hook values
+ */
+function clearCache(opts) {
+    pushit.clearCache(apiOpts(opts), function (err) {
+        if (err) {
+            return printErrors(err);
+        }
+    });
+}
+
+
+/*
+ * Checks the config files for problems
+ */
+function checkConfig(opts) {
+    pushit.checkConfig(apiOpts(opts), function (err) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        console.log(okStr('Config OK'));
+    });
+}
+
+
+/*
+ * Pushes the specified files to the configured server
+ */
+function push(opts) {
+    var aOpts = apiOpts(opts);
+    var take;
+
+    if (opts.again) {
+        aOpts.again = Number(opts._args[0] || 1);
+        aOpts.files = [];
+    }
+
+    var events = pushit.push(aOpts, function (err, result) {
+        if (opts.json) {
+            setExitStatus(err);
+            return console.log(JSON.stringify(
+                jsonReport(opts, take(), err, result), null, 2));
+        }
+
+        if (opts.diff) {
+            printReport(result);
+            return err ? printErrors(err) : null;
+        }
+
+        if (!opts.dryrun) {
+            printFileSummary(result);
+        }
+        printHostSummary(result);
+
+        if (err) {
+            return printErrors(err);
+        }
+
+        if (!opts.dryrun) {
+            verbose(okStr('Push completed successfully.'));
+        }
+    });
+
+    if (opts.json) {
+        take = collectEvents(events);
+    } else {
+        printDryrun(events);
+    }
+}
+
+
+/*
+ * Pulls files from the host back into the repo, and prints the status of
+ * each (or their contents, with --show)
+ */
+function pull(opts) {
+    var aOpts = apiOpts(opts);
+    aOpts.files = opts._args.slice(1);
+
+    var events = pushit.pull(aOpts, function (err, result) {
+        if (!opts.show) {
+            printReport(result);
+            return err ? printErrors(err) : null;
+        }
+
+        result.hosts.forEach(function (res) {
+            var report = res.report || [];
+
+            report.forEach(function (file) {
+                if (!file.data) {
+                    return console.error('%s: %s', file.path, file.status);
+                }
+
+                if (report.length > 1) {
+                    console.log('==> %s <==', file.label);
+                }
+                process.stdout.write(file.data);
+            });
+        });
+
+        return err ? printErrors(err) : null;
+    });
+
+    printDryrun(events);
+}
+
+
+/*
+ * Watches the repo's paths and pushes files as they change
+ */
+function watch(opts) {
+    var take;
+    var events = pushit.watch(apiOpts(opts), function (err, info) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        if (!opts.json) {
+            console.log('Watching %s for changes to push to %s (^C to stop)',
+                info.top, info.hosts.join(', '));
+        }
+    });
+
+    if (opts.json) {
+        take = collectEvents(events);
+    } else {
+        printDryrun(events);
+    }
+
+    events.on('push', function (err, result) {
+        if (opts.json) {
+            // One line for each batch of files pushed
+            setExitStatus(err);
+            return console.log(JSON.stringify(
+                jsonReport(opts, take(), err, result)));
+        }
+
+        if (!opts.dryrun) {
+            printFileSummary(result);
+        }
+        printHostSummary(result);
+
+        if (err) {
+            return printErrors(err);
+        }
+    });
+}
+
+
+/*
+ * Undoes the last push to each host
+ */
+function undo(opts) {
+    printDryrun(pushit.undo(apiOpts(opts), function (err, undone) {
+        (undone || []).forEach(function (u) {
+            console.log(okStr('%s: undid push %s (restored %d file(s), '
+                + 'removed %d)', u.host, u.record.id,
+                u.record.saved.length, u.record.created.length));
+        });
+
+        if (err) {
+            printErrors(err);
+        }
+    }));
+}
+
+
+/*
+ * Lists the pushes in the history file, newest first
+ */
+function history(opts) {
+    pushit.history(apiOpts(opts), function (err, records) {
+        if (err) {
+            return printErrors(err);
+        }
+
+        if (opts.json) {
+            return console.log(JSON.stringify(records, null, 2));
+        }
+
+        records.forEach(function (r) {
+            // Records from before the history had file lists only have the
+            // files that were backed up
+            var count = r.files ? r.files.length + r.deletes.length :
+                r.saved.length + r.created.length;
+            var notes = [];
+
+            if (r.ok === false) {
+                notes.push(badStr('failed'));
+            }
+            if (r.undone) {
+                notes.push('undone');
+            }
+
+            console.log('%s  %s  %s  %d file(s)%s', r.id, r.host, r.repo,
+                count, notes.length ? ' (' + notes.join(', ') + ')' : '');
+
+            if (!verbose()) {
+                return;
+            }
+
+            if (!r.results) {
+                r.saved.forEach(function (f) {
+                    console.log('    overwrote %s', f);
+                });
+                r.created.forEach(function (f) {
+                    console.log('    created %s', f);
+                });
+                return;
+            }
+
+            r.results.forEach(function (f) {
+                var status = f.status;
+                while (status.length < 9) {
+                    status += ' ';
+                }
+
+                console.log('    %s %s', status,
+                    f.dest ? fmt('%s => %s', f.path, f.dest) : f.path);
+            });
+        });
+    });
+}
+
+
+/*
+ * Main entry point
+ */
+function main() {
+    var opts;
+    var parser = dashdash.createParser({ options: OPTS });
+
+    try {
+        opts = parser.parse(process.argv);
+    } catch (parseErr) {
+        printErr(parseErr.message);
+        process.exit(1);
+    }
+
+    if (opts.help) {
+        return usage(parser);
+    }
+
+    if (opts.verbose) {
+        common.setVerbose(true);
+    }
+
+    if (opts.debug) {
+        common.setDebug(true);
+    }
+
+    debug('opts: %j', opts);
+    debug('config file: "%s" (from %s)', opts.config || '~/.pushitrc',
+        optSource(opts, 'config', 'PUSHITRC'));
+    debug('repos file: "%s" (from %s)', opts.repos || '~/.pushit-repos',
+        optSource(opts, 'repos', 'PUSHIT_REPOS'));
+
+    if (opts.hasOwnProperty('default')) {
+        return setHost(opts);
+    }
+
+    if (opts.hasOwnProperty('show_default')) {
+        return getHost(opts);
+    }
+
+    if (opts.hasOwnProperty('repo')) {
+        return printRepo(opts);
+    }
+
+    if (opts.init) {
+        return init(opts);
+    }
+
+    if (opts.clear_cache) {
+        return clearCache(opts);
+    }
+
+    if (opts.check_config) {
+        return checkConfig(opts);
+    }
+
+    if (opts.undo) {
+        return undo(opts);
+    }
+
+    if (opts.history) {
+        return history(opts);
+    }
+
+    if (opts.watch) {
+        return watch(opts);
+    }
+
+    if (opts._args[0] === 'pull') {
+        return pull(opts);
+    }
+
+    if (opts.all_mapped !== undefined) {
+        exit('--all-mapped can only be used with pull');
+    }
+
+    var modes = [ 'all', 'since', 'commit' ].filter(function (m) {
+        return opts[m];
+    });
+    if (modes.length > 1) {
+        exit('Only one of -a, --since and --commit can be used');
+    }
+
+    if (opts.again) {
+        if (modes.length !== 0 || opts._args.length > 1
+            || (opts._args.length === 1 && !/^[1-9][0-9]*$/.test(
+            opts._args[0]))) {
+            exit('--again takes one number (1 for the last push, 2 for the '
+                + 'one before that, and so on), and no files');
+        }
+
+        return push(opts);
+    }
+
+    // Must run with -a, --since, --commit or file args to actually push
+    if (modes.length === 0 && opts._args.length === 0) {
+        return usage(parser);
+    }
+
+    push(opts);
+}
+
+
+main();
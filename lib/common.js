@@ -5,6 +5,8 @@
 
 var VERBOSE = false;
 var DEBUG = false;
+// Characters that are never special to the shell
+var SHELL_SAFE_RE = /^[A-Za-z0-9_\/.,:@%+=-]+$/;
 
 
 function verbose() {
@@ -25,10 +27,61 @@ function debug() {
 }
 
 
+/*
+ * Returns the errors in a MultiError, or an array containing a single error
+ */
+function errorList(err) {
+    return err.hasOwnProperty('ase_errors') ? err.ase_errors : [err];
+}
+
+
+/*
+ * Returns the kind of err ("config", "git", "hook", "transfer" or
+ * "modified"): its own, or that of the first error in it that has one.
+ * Returns null if it doesn't have a kind.
+ */
+function errorKind(err) {
+    if (err.kind) {
+        return err.kind;
+    }
+
+    var kinds = errorList(err).filter(function (e) {
+        return e.kind;
+    });
+
+    return kinds.length === 0 ? null : kinds[0].kind;
+}
+
+
+/*
+ * Returns true if str can be used in a shell command as a single word
+ * without quoting
+ */
+function isShellSafe(str) {
+    return SHELL_SAFE_RE.test(str);
+}
+
+
+/*
+ * Quotes str so that the shell treats it as a single word
+ */
+function shellQuote(str) {
+    if (isShellSafe(str)) {
+        return str;
+    }
+
+    return '\'' + str.replace(/'/g, '\'\\\'\'') + '\'';
+}
+
+
 
 module.exports = {
     debug: debug,
+    errorKind: errorKind,
+    errorList: errorList,
+    isShellSafe: isShellSafe,
     verbose: verbose,
     setDebug: function (val) { DEBUG = val; },
-    setVerbose: function (val) { VERBOSE = val; }
+    setVerbose: function (val) { VERBOSE = val; },
+    shellQuote: shellQuote
 };
@@ -0,0 +1,112 @@
+/*
+ * pushit local / remote file comparison
+ *
+ * Checksums files with the POSIX cksum algorithm, since the cksum command
+ * is available on every host we might push to (unlike md5sum and friends)
+ */
+
+
+var common = require('./common');
+var fmt = require('util').format;
+var shellQuote = common.shellQuote;
+
+
+var CRC_TABLE = makeTable();
+
+
+
+/*
+ * Returns the lookup table for the CRC-32 used by cksum (polynomial
+ * 0x04c11db7, most significant bit first)
+ */
+function makeTable() {
+    var table = [];
+
+    for (var i = 0; i < 256; i++) {
+        var c = i << 24;
+        for (var b = 0; b < 8; b++) {
+            c = (c & 0x80000000) ? (c << 1) ^ 0x04c11db7 : c << 1;
+        }
+        table.push(c >>> 0);
+    }
+
+    return table;
+}
+
+
+/*
+ * Adds byte to the running crc
+ */
+function crcByte(crc, byte) {
+    return ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns the checksum of data (a Buffer) that the cksum command would
+ * print for it
+ */
+function cksum(data) {
+    var crc = 0;
+    var i;
+
+    for (i = 0; i < data.length; i++) {
+        crc = crcByte(crc, data[i]);
+    }
+
+    // The length is included after the data, least significant byte first
+    for (i = data.length; i > 0; i = Math.floor(i / 256)) {
+        crc = crcByte(crc, i & 0xff);
+    }
+
+    return (~crc) >>> 0;
+}
+
+
+/*
+ * Returns a shell command that prints the checksum of each of the paths in
+ * files (relative to /), or "missing <path>" for the ones that don't exist
+ * (or aren't regular files)
+ */
+function cksumCmd(files) {
+    return fmt('cd / && for f in %s; do if [ -f "$f" ]; then cksum "$f"; '
+        + 'else printf "missing %%s\\n" "$f"; fi; done',
+        files.map(shellQuote).join(' '));
+}
+
+
+/*
+ * Parses the output of a cksumCmd() command into an object mapping each
+ * path to its checksum and size, or to null if it doesn't exist on the host
+ */
+function parseCksums(stdout) {
+    var sums = {};
+
+    stdout.split('\n').forEach(function (line) {
+        var m = /^missing (.+)$/.exec(line);
+        if (m) {
+            sums[m[1]] = null;
+            return;
+        }
+
+        m = /^(\d+) (\d+) (.+)$/.exec(line);
+        if (m) {
+            sums[m[3]] = { sum: Number(m[1]), size: Number(m[2]) };
+        }
+    });
+
+    return sums;
+}
+
+
+
+module.exports = {
+    cksum: cksum,
+    cksumCmd: cksumCmd,
+    parseCksums: parseCksums
+};
@@ -0,0 +1,632 @@
+/*
+ * pushit config file parsing and validation
+ */
+
+
+var fmt = require('util').format;
+var match = require('./match');
+var VError = require('verror').VError;
+
+
+var TRANSPORTS = [ 'rsync', 'scp', 'tar' ];
+
+
+
+// --- Internal helpers
+
+
+
+/*
+ * Returns the (1-based) line number of position pos in text
+ */
+function lineAt(text, pos) {
+    return text.substr(0, pos).split('\n').length;
+}
+
+
+/*
+ * Finds the line of a value in the text of a JSON file by searching for
+ * each of needles in turn, starting from where the previous one was found
+ * (eg: a repo name, then "paths", then one of the paths).  Returns the line
+ * of the last needle found.
+ */
+function findLine(text, needles) {
+    var line = 1;
+    var pos = 0;
+
+    needles.forEach(function (needle) {
+        var found = text.indexOf(needle, pos);
+        if (found !== -1) {
+            pos = found;
+            line = lineAt(text, pos);
+        }
+    });
+
+    return line;
+}
+
+
+/*
+ * Returns a human-readable version of a list of keys into a JSON object,
+ * eg: [ 'repo', 'paths', 0 ] => '["repo"].paths[0]'
+ */
+function keyStr(keys) {
+    if (keys.length === 0) {
+        return '(top level)';
+    }
+
+    return keys.map(function (k, i) {
+        if (typeof (k) === 'number') {
+            return fmt('[%d]', k);
+        }
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(k)) {
+            return fmt('[%s]', JSON.stringify(k));
+        }
+
+        return (i === 0 ? '' : '.') + k;
+    }).join('');
+}
+
+
+/*
+ * Adds an error for each key in obj that isn't in allowed
+ */
+function checkKeys(probs, keys, obj, allowed) {
+    for (var k in obj) {
+        if (allowed.indexOf(k) === -1) {
+            probs.error(keys.concat(k), null,
+                'unknown key (expected one of: %s)', allowed.join(', '));
+        }
+    }
+}
+
+
+/*
+ * Returns true if val is an object (and not an array or null)
+ */
+function isObject(val) {
+    return (typeof (val) === 'object' && val !== null && !Array.isArray(val));
+}
+
+
+/*
+ * Adds an error if val isn't an array of strings
+ */
+function checkStringArray(probs, keys, val) {
+    if (!Array.isArray(val)) {
+        probs.error(keys, null, 'must be an array of strings');
+        return false;
+    }
+
+    val.forEach(function (item, i) {
+        if (typeof (item) !== 'string') {
+            probs.error(keys.concat(i), null, 'must be a string');
+        }
+    });
+
+    return true;
+}
+
+
+/*
+ * Checks a repo's path mappings: each is either a "localpath=remotepath"
+ * string, or an object with the string in "path", optional exclude
+ * patterns that only apply to that mapping, and the mode, owner and group
+ * to give the files copied by it
+ */
+function checkPaths(probs, keys, paths) {
+    if (!Array.isArray(paths)) {
+        probs.error(keys, null, 'must be an array');
+        return;
+    }
+
+    paths.forEach(function (p, i) {
+        var mapping = p;
+        var pKeys = keys.concat(i);
+
+        if (isObject(p)) {
+            checkKeys(probs, pKeys, p,
+                [ 'exclude', 'group', 'mode', 'owner', 'path' ]);
+            if (p.hasOwnProperty('exclude')) {
+                checkStringArray(probs, pKeys.concat('exclude'), p.exclude);
+            }
+
+            if (p.hasOwnProperty('mode') && (typeof (p.mode) !== 'string'
+                || !/^[0-7]{3,4}$/.test(p.mode))) {
+                probs.error(pKeys.concat('mode'), null,
+                    'must be an octal mode string (eg: "0755")');
+            }
+
+            [ 'group', 'owner' ].forEach(function (k) {
+                if (p.hasOwnProperty(k) && (typeof (p[k]) !== 'string'
+                    || !/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(p[k]))) {
+                    probs.error(pKeys.concat(k), null,
+                        'must be a user or group name or id');
+                }
+            });
+
+            mapping = p.path;
+            pKeys = pKeys.concat('path');
+        }
+
+        if (typeof (mapping) !== 'string') {
+            probs.error(pKeys, null, 'must be a string');
+        } else if (mapping.indexOf('=') === -1) {
+            probs.error(pKeys, mapping,
+                'must be of the form "localpath=remotepath"');
+        }
+    });
+}
+
+
+/*
+ * Checks a before or after command list in a repo
+ */
+function checkCommands(probs, keys, cmds) {
+    if (!Array.isArray(cmds)) {
+        probs.error(keys, null, 'must be an array of commands');
+        return;
+    }
+
+    cmds.forEach(function (cmd, i) {
+        var cmdKeys = keys.concat(i);
+        if (typeof (cmd) === 'string') {
+            return;
+        }
+
+        if (!isObject(cmd)) {
+            probs.error(cmdKeys, null, 'must be a string or an object');
+            return;
+        }
+
+        checkKeys(probs, cmdKeys, cmd, [ 'cmd', 'paths' ]);
+        if (typeof (cmd.cmd) !== 'string') {
+            probs.error(cmdKeys.concat('cmd'), null, 'must be a string');
+        }
+
+        if (cmd.hasOwnProperty('paths') && typeof (cmd.paths) !== 'string') {
+            checkStringArray(probs, cmdKeys.concat('paths'), cmd.paths);
+        }
+    });
+}
+
+
+/*
+ * Checks the hooks declared in a repo, which must each have a shell
+ * command in either "remote" or "local"
+ */
+function checkHooks(probs, keys, repoHooks) {
+    if (!isObject(repoHooks)) {
+        probs.error(keys, null, 'must be an object');
+        return;
+    }
+
+    for (var name in repoHooks) {
+        var hook = repoHooks[name];
+        var hookKeys = keys.concat(name);
+
+        if (!/^[^\s\[\]%]+$/.test(name)) {
+            probs.error(hookKeys, null,
+                'hook names can\'t contain spaces, brackets or "%"');
+        }
+
+        if (!isObject(hook)) {
+            probs.error(hookKeys, null, 'must be an object');
+            continue;
+        }
+
+        checkKeys(probs, hookKeys, hook, [ 'local', 'remote' ]);
+        var cmds = [ 'local', 'remote' ].filter(function (k) {
+            return hook.hasOwnProperty(k);
+        });
+
+        if (cmds.length !== 1) {
+            probs.error(hookKeys, null,
+                'must have exactly one of "local" or "remote"');
+        } else if (typeof (hook[cmds[0]]) !== 'string') {
+            probs.error(hookKeys.concat(cmds[0]), null, 'must be a string');
+        }
+    }
+}
+
+
+/*
+ * Checks the ssh options for a host in the config file
+ */
+function checkHost(probs, keys, host) {
+    if (!isObject(host)) {
+        probs.error(keys, null, 'must be an object');
+        return;
+    }
+
+    checkKeys(probs, keys, host,
+        [ 'identityFile', 'multiplex', 'options', 'port', 'proxyJump' ]);
+
+    [ 'identityFile', 'proxyJump' ].forEach(function (k) {
+        if (host.hasOwnProperty(k) && typeof (host[k]) !== 'string') {
+            probs.error(keys.concat(k), null, 'must be a string');
+        }
+    });
+
+    if (host.hasOwnProperty('port') && (typeof (host.port) !== 'number'
+        || host.port % 1 !== 0 || host.port < 1 || host.port > 65535)) {
+        probs.error(keys.concat('port'), null, 'must be a port number');
+    }
+
+    if (host.hasOwnProperty('options')) {
+        checkStringArray(probs, keys.concat('options'), host.options);
+    }
+
+    if (host.hasOwnProperty('multiplex')
+        && typeof (host.multiplex) !== 'boolean') {
+        probs.error(keys.concat('multiplex'), null, 'must be true or false');
+    }
+}
+
+
+/*
+ * Checks a repo entry (from .pushit-repos or .pushit.json) at keys.  Only
+ * personal entries (the ones in .pushit-repos) can have aliases and hooks:
+ * .pushit.json comes from whoever committed to the repo, and hooks run
+ * commands on this machine.
+ */
+function checkRepo(probs, keys, repo, personal) {
+    if (!isObject(repo)) {
+        probs.error(keys, null, 'must be an object');
+        return;
+    }
+
+    checkKeys(probs, keys, repo,
+        [ 'after', 'before', 'exclude', 'paths', 'transport',
+        'variables' ].concat(personal ? [ 'aliases', 'hooks' ] : []));
+
+    if (repo.hasOwnProperty('aliases')) {
+        checkStringArray(probs, keys.concat('aliases'), repo.aliases);
+    }
+
+    if (repo.hasOwnProperty('paths')) {
+        checkPaths(probs, keys.concat('paths'), repo.paths);
+    }
+
+    if (repo.hasOwnProperty('exclude')) {
+        checkStringArray(probs, keys.concat('exclude'), repo.exclude);
+    }
+
+    if (repo.hasOwnProperty('variables')) {
+        if (!isObject(repo.variables)) {
+            probs.error(keys.concat('variables'), null, 'must be an object');
+        } else {
+            for (var v in repo.variables) {
+                if (typeof (repo.variables[v]) !== 'string') {
+                    probs.error(keys.concat('variables', v), null,
+                        'must be a string');
+                }
+            }
+        }
+    }
+
+    [ 'before', 'after' ].forEach(function (when) {
+        if (repo.hasOwnProperty(when)) {
+            checkCommands(probs, keys.concat(when), repo[when]);
+        }
+    });
+
+    if (repo.hasOwnProperty('hooks')) {
+        checkHooks(probs, keys.concat('hooks'), repo.hooks);
+    }
+
+    if (repo.hasOwnProperty('transport')
+        && TRANSPORTS.indexOf(repo.transport) === -1) {
+        probs.error(keys.concat('transport'), repo.transport,
+            'must be one of: %s', TRANSPORTS.join(', '));
+    }
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns an object for collecting the problems with a config file.  Its
+ * error(keys, value, message, ...) method adds an error for the value at
+ * keys (a list of object keys and array indexes), with the file and line
+ * of that value in the message.
+ */
+function problems(file, text) {
+    var errors = [];
+
+    return {
+        errors: errors,
+        error: function (keys, value) {
+            var needles = keys.filter(function (k) {
+                return typeof (k) === 'string';
+            }).map(function (k) {
+                return JSON.stringify(k);
+            });
+
+            if (typeof (value) === 'string') {
+                needles.push(JSON.stringify(value));
+            }
+
+            errors.push(new VError('%s:%d: %s: %s', file,
+                findLine(text, needles), keyStr(keys),
+                fmt.apply(null, Array.prototype.slice.call(arguments, 2))));
+        }
+    };
+}
+
+
+/*
+ * Parses the JSON text of a config file.  If it's invalid, the error
+ * includes the file name and the line and column of the problem.
+ */
+function parse(file, text) {
+    try {
+        return JSON.parse(text);
+    } catch (parseErr) {
+        var line;
+        var col;
+        var pos = /position (\d+)/.exec(parseErr.message);
+        var lineCol = /line (\d+) column (\d+)/.exec(parseErr.message);
+
+        if (lineCol) {
+            line = Number(lineCol[1]);
+            col = Number(lineCol[2]);
+        } else if (pos) {
+            pos = Number(pos[1]);
+            line = lineAt(text, pos);
+            col = pos - text.lastIndexOf('\n', pos - 1);
+        } else {
+            // Probably an unexpected end of input
+            line = text.split('\n').length;
+            col = text.length - text.lastIndexOf('\n');
+        }
+
+        throw new VError('%s:%d:%d: invalid JSON: %s', file, line, col,
+            parseErr.message);
+    }
+}
+
+
+/*
+ * Checks the contents of a .pushitrc file.  Returns an array of errors.
+ */
+function checkConfig(file, text, config) {
+    var probs = problems(file, text);
+
+    if (!isObject(config)) {
+        probs.error([], null, 'must be an object');
+        return probs.errors;
+    }
+
+    checkKeys(probs, [], config, [ 'defaultHost', 'groups', 'hookTimeout',
+        'hosts', 'retries', 'transferTimeout' ]);
+
+    if (config.hasOwnProperty('defaultHost')
+        && typeof (config.defaultHost) !== 'string') {
+        probs.error([ 'defaultHost' ], null, 'must be a string');
+    }
+
+    if (config.hasOwnProperty('groups')) {
+        if (!isObject(config.groups)) {
+            probs.error([ 'groups' ], null, 'must be an object');
+        } else {
+            for (var g in config.groups) {
+                checkStringArray(probs, [ 'groups', g ], config.groups[g]);
+            }
+        }
+    }
+
+    // Timeouts are in seconds, and 0 means no timeout
+    [ 'hookTimeout', 'retries', 'transferTimeout' ].forEach(function (k) {
+        if (config.hasOwnProperty(k) && (typeof (config[k]) !== 'number'
+            || config[k] % 1 !== 0 || config[k] < 0)) {
+            probs.error([ k ], null, 'must be a whole number (0 or more)');
+        }
+    });
+
+    if (config.hasOwnProperty('hosts')) {
+        if (!isObject(config.hosts)) {
+            probs.error([ 'hosts' ], null, 'must be an object');
+        } else {
+            for (var h in config.hosts) {
+                checkHost(probs, [ 'hosts', h ], config.hosts[h]);
+            }
+        }
+    }
+
+    return probs.errors;
+}
+
+
+/*
+ * Checks the contents of a .pushit-repos file.  Returns an array of
+ * errors.
+ */
+function checkRepos(file, text, repos) {
+    var probs = problems(file, text);
+
+    if (!isObject(repos)) {
+        probs.error([], null, 'must be an object');
+        return probs.errors;
+    }
+
+    for (var name in repos) {
+        checkRepo(probs, [ name ], repos[name], true);
+    }
+
+    return probs.errors;
+}
+
+
+/*
+ * Checks the contents of a repo's .pushit.json file.  Returns an array of
+ * errors.
+ */
+function checkRepoFile(file, text, repo) {
+    var probs = problems(file, text);
+    checkRepo(probs, [], repo);
+    return probs.errors;
+}
+
+
+/*
+ * Combines a repo's entry from .pushit-repos with the one from its
+ * .pushit.json (either can be undefined):
+ *
+ * - paths from .pushit-repos come first, so they win over equally
+ *   specific paths from .pushit.json
+ * - exclude patterns from both are used
+ * - variables from .pushit-repos override ones with the same name
+ * - hooks only come from .pushit-repos (see checkRepo())
+ * - before and after commands from .pushit.json are run first
+ * - transport from .pushit-repos overrides the one in .pushit.json
+ */
+function mergeRepo(personal, shared) {
+    var merged = {
+        paths: [],
+        variables: {},
+        hooks: {},
+        before: [],
+        after: [],
+        exclude: []
+    };
+
+    [ shared || {}, personal || {} ].forEach(function (repo) {
+        var v;
+        if (repo.transport) {
+            merged.transport = repo.transport;
+        }
+
+        for (v in repo.variables) {
+            merged.variables[v] = repo.variables[v];
+        }
+
+        merged.before = merged.before.concat(repo.before || []);
+        merged.after = merged.after.concat(repo.after || []);
+        merged.exclude = merged.exclude.concat(repo.exclude || []);
+    });
+
+    for (var h in (personal || {}).hooks) {
+        merged.hooks[h] = personal.hooks[h];
+    }
+
+    merged.paths = ((personal || {}).paths || []).concat(
+        (shared || {}).paths || []);
+
+    return merged;
+}
+
+
+/*
+ * Returns a git remote URL in a form that's the same for each way of
+ * cloning the repo, by removing the protocol, user, port and any trailing
+ * ".git", eg: "git@github.com:joyent/sdc-fwapi.git",
+ * "https://github.com/joyent/sdc-fwapi" and
+ * "ssh://git@github.com:22/joyent/sdc-fwapi.git" are all
+ * "github.com/joyent/sdc-fwapi"
+ */
+function normalizeUrl(url) {
+    var trimmed = url.trim();
+    var scheme = /^[a-z][a-z0-9+.-]*:\/\//i.exec(trimmed);
+    var norm = trimmed.substr(scheme ? scheme[0].length : 0)
+        .replace(/^[^@\/]*@/, '')
+        // Only URLs with a protocol can have a port: in scp-style
+        // "host:path", a path starting with digits is still the path
+        .replace(scheme ? /^([^\/:]+):(\d+\/)?/ : /^([^\/:]+):/, '$1/')
+        .replace(/\/+$/, '')
+        .replace(/\.git$/, '');
+    var slash = norm.indexOf('/');
+
+    // Hostnames aren't case-sensitive
+    if (slash > 0) {
+        norm = norm.substr(0, slash).toLowerCase() + norm.substr(slash);
+    }
+
+    return norm;
+}
+
+
+/*
+ * Returns the name of the entry in repos (the parsed .pushit-repos file)
+ * for the git remote url: the entry with exactly that name, then the first
+ * whose name or one of its aliases is the same URL once normalized, then
+ * the first whose name or aliases are a pattern that matches it (with
+ * wildcards like the local paths in "paths").  Returns null if none match.
+ */
+function findRepo(repos, url) {
+    if (!isObject(repos)) {
+        return null;
+    }
+
+    if (repos.hasOwnProperty(url)) {
+        return url;
+    }
+
+    var names = Object.keys(repos);
+    var norm = normalizeUrl(url);
+
+    function ids(name) {
+        var aliases = isObject(repos[name]) ? repos[name].aliases : null;
+        return [ name ].concat(Array.isArray(aliases) ? aliases : []);
+    }
+
+    var found = names.filter(function (name) {
+        return ids(name).some(function (id) {
+            return !match.isGlob(id) && normalizeUrl(id) === norm;
+        });
+    });
+
+    if (found.length === 0) {
+        found = names.filter(function (name) {
+            return ids(name).some(function (id) {
+                return match.isGlob(id)
+                    && match.globRE(normalizeUrl(id)).test(norm);
+            });
+        });
+    }
+
+    return found.length === 0 ? null : found[0];
+}
+
+
+/*
+ * Returns the text of a .pushit-repos file with an entry for name added at
+ * the end of it.  The rest of the text is left as it is, and the new entry
+ * is indented the same way as the existing ones.
+ */
+function addRepoText(text, name, entry) {
+    var end = text.lastIndexOf('}');
+    if (end === -1) {
+        text = '{}\n';
+        end = 1;
+    }
+
+    var before = text.substr(0, end).replace(/\s*$/, '');
+    var indent = /\n([ \t]+)"/.exec(before);
+    indent = indent ? indent[1] : '    ';
+
+    return before + (/\{$/.test(before) ? '' : ',') + '\n' + indent
+        + JSON.stringify(name) + ': '
+        + JSON.stringify(entry, null, indent).replace(/\n/g, '\n' + indent)
+        + '\n' + text.substr(end);
+}
+
+
+
+module.exports = {
+    TRANSPORTS: TRANSPORTS,
+    addRepoText: addRepoText,
+    checkConfig: checkConfig,
+    checkRepoFile: checkRepoFile,
+    checkRepos: checkRepos,
+    findRepo: findRepo,
+    isObject: isObject,
+    mergeRepo: mergeRepo,
+    normalizeUrl: normalizeUrl,
+    parse: parse,
+    problems: problems
+};
@@ -1,31 +1,29 @@
 /*
  * pushit push hooks
  *
- * Right now, only contains functions that are run in variable expansion
+ * Functions that are run in variable expansion: the built-in ones, ones
+ * loaded from plugin modules, and ones declared as shell commands in a
+ * repo's config
  */
 
 
 var common = require('./common');
-var cp = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var run = require('./run');
 var util = require('util');
+var VError = require('verror').VError;
 var debug = common.debug;
+var shellQuote = common.shellQuote;
 var verbose = common.verbose;
 
 
 /*
- * Runs an ssh command on the remote host
+ * Runs an ssh command for a hook on the remote host, with the ssh options
+ * for it in state.sshArgs
  */
 function ssh(state, cmd, callback) {
-    var sshCmd = util.format('ssh %s \'%s\'', state.toHost, cmd);
-
-    verbose('# %s', sshCmd);
-    cp.exec(sshCmd, function (err, stdout, stderr) {
-        if (err) {
-            return callback(err);
-        }
-
-        return callback(null, { stdout: stdout, stderr: stderr });
-    });
+    return run.ssh(state, cmd, 'hook', callback);
 }
 
 
@@ -35,8 +33,8 @@ function ssh(state, cmd, callback) {
 function smartosZoneAliasToRoot(state, zoneAlias, callback) {
     debug('====> smartosZoneAliasToRoot start');
     var cmd = util.format(
-        'vmadm get $(vmadm lookup -1 tags.smartdc_role=~^%s) | '
-        + 'json zonepath', zoneAlias);
+        'vmadm get $(vmadm lookup -1 %s) | json zonepath',
+        shellQuote('tags.smartdc_role=~^' + zoneAlias));
 
     ssh(state, cmd, function _afterVmadm(err, res) {
         if (err) {
@@ -53,7 +51,119 @@ function smartosZoneAliasToRoot(state, zoneAlias, callback) {
 
 
 
+/*
+ * Returns a hook function that runs a shell command declared in a repo's
+ * "hooks" (def.remote on the host, or def.local on this machine), with the
+ * hook's arguments as the positional parameters ($1, $2, ...).  Its trimmed
+ * output is the hook's value.
+ */
+function commandHook(name, def) {
+    return function _commandHook(state) {
+        var args = Array.prototype.slice.call(arguments, 1, -1);
+        var callback = arguments[arguments.length - 1];
+
+        function done(err, stdout) {
+            if (err) {
+                return callback(err);
+            }
+
+            var value = stdout.trim();
+            verbose('  %s', value);
+            if (value === '') {
+                return callback(new VError('hook "%s" printed nothing',
+                    name));
+            }
+
+            return callback(null, value);
+        }
+
+        debug('====> command hook "%s" start: args=%j', name, args);
+        if (def.remote) {
+            // The arguments have to be quoted for the remote shell
+            var cmd = 'set --' + args.map(function (a) {
+                return ' ' + shellQuote(a);
+            }).join('') + '; ' + def.remote;
+
+            return ssh(state, cmd, function (err, res) {
+                return done(err, res && res.stdout);
+            });
+        }
+
+        // Let local commands know which host the value is for
+        var env = {};
+        for (var e in process.env) {
+            env[e] = process.env[e];
+        }
+        env.PUSHIT_HOST = state.toHost;
+
+        // sh -c passes the arguments after the command name as $1, $2...
+        verbose('# %s', def.local);
+        var opts = run.options(state, 'hook');
+        run.execFile('/bin/sh', [ '-c', def.local, name ].concat(args), {
+            cwd: state.top,
+            env: env,
+            retries: 0,
+            timeout: opts.timeout
+        }, done);
+    };
+}
+
+
+/*
+ * Loads the hook functions exported by each .js file in dir, and calls
+ * callback with an object mapping their names to the functions.  A missing
+ * dir isn't an error.
+ */
+function loadPlugins(dir, callback) {
+    var plugins = {};
+
+    fs.readdir(dir, function (err, files) {
+        if (err) {
+            if (err.code === 'ENOENT') {
+                return callback(null, plugins);
+            }
+
+            return callback(err);
+        }
+
+        files.filter(function (f) {
+            return path.extname(f) === '.js';
+        }).sort().forEach(function (f) {
+            var file = path.join(dir, f);
+            var mod;
+
+            if (err) {
+                return;
+            }
+
+            try {
+                mod = require(file);
+            } catch (requireErr) {
+                err = new VError(requireErr,
+                    'Could not load hook plugin "%s"', file);
+                return;
+            }
+
+            for (var name in mod) {
+                if (typeof (mod[name]) === 'function') {
+                    debug('hook "%s": from plugin "%s"', name, file);
+                    plugins[name] = mod[name];
+                }
+            }
+        });
+
+        return callback(err || null, plugins);
+    });
+}
+
+
+
 module.exports = {
-    smartosZoneAliasToRoot: smartosZoneAliasToRoot,
-    debug: debug
+    builtin: {
+        smartosZoneAliasToRoot: smartosZoneAliasToRoot
+    },
+    commandHook: commandHook,
+    debug: debug,
+    loadPlugins: loadPlugins,
+    ssh: ssh
 };
@@ -0,0 +1,189 @@
+/*
+ * pushit path matching
+ *
+ * Matches files in the repo against the local side of path mappings and
+ * against exclude patterns.  Patterns match whole path segments: "*" and
+ * "?" match within a segment, and "**" matches any number of segments.
+ */
+
+
+
+/*
+ * Returns the source of a regex that matches glob.  If capture is true,
+ * each "*" and "**" is a capture group.
+ */
+function globSource(glob, capture) {
+    var src = '';
+
+    for (var i = 0; i < glob.length; i++) {
+        var c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            src += capture ? '(.*)' : '.*';
+            i++;
+        } else if (c === '*') {
+            src += capture ? '([^/]*)' : '[^/]*';
+        } else if (c === '?') {
+            src += '[^/]';
+        } else {
+            src += c.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+        }
+    }
+
+    return src;
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns a matcher for the local side of a path mapping (relative to the
+ * top of the repo, or "." for the whole repo), with:
+ * - re: a regex that matches the mapping and any files under it, with a
+ *   capture group for each wildcard
+ * - wildcards: the number of wildcards (which can be used in the remote
+ *   side as %1%, %2% and so on)
+ * - segments, literal: how specific the mapping is (the number of path
+ *   segments, and the number of non-wildcard characters)
+ */
+function mapping(local) {
+    if (local === '.') {
+        return { re: /^/, wildcards: 0, segments: 0, literal: 0 };
+    }
+
+    return {
+        re: new RegExp('^' + globSource(local, true) + '(?=/|$)'),
+        wildcards: (local.match(/\*\*?/g) || []).length,
+        segments: local.split('/').length,
+        literal: local.replace(/[*?]/g, '').length
+    };
+}
+
+
+/*
+ * Returns the most specific of mappings (objects with a "matcher" from
+ * mapping()) that file matches, as an object with:
+ * - mapping: the matching mapping
+ * - prefix: the part of file that the mapping matched
+ * - captures: the values of the mapping's wildcards
+ *
+ * Mappings with more path segments are more specific, then ones with more
+ * non-wildcard characters.  If they're tied, the first one wins.  Returns
+ * null if no mappings match.
+ */
+function bestMatch(mappings, file) {
+    var best = null;
+
+    mappings.forEach(function (m) {
+        var res = m.matcher.re.exec(file);
+        if (!res) {
+            return;
+        }
+
+        if (best && (best.mapping.matcher.segments > m.matcher.segments
+            || (best.mapping.matcher.segments === m.matcher.segments
+            && best.mapping.matcher.literal >= m.matcher.literal))) {
+            return;
+        }
+
+        best = {
+            captures: res.slice(1),
+            mapping: m,
+            prefix: res[0]
+        };
+    });
+
+    return best;
+}
+
+
+/*
+ * Returns a function that takes a path and returns the first of patterns
+ * that excludes it (or null).  Patterns without a "/" match a file or
+ * directory with that name anywhere.  Patterns with a "/" match from the
+ * start of the path.  The function's "patterns" property has the patterns.
+ */
+function excluder(patterns) {
+    var res = patterns.map(function (p) {
+        var glob = p.replace(/^\.?\//, '').replace(/\/$/, '');
+        var anchored = (glob.indexOf('/') !== -1);
+
+        return {
+            anchored: anchored,
+            pattern: p,
+            re: new RegExp('^' + globSource(glob, false)
+                + (anchored ? '(?:/|$)' : '$'))
+        };
+    });
+
+    function excludedBy(file) {
+        var segments = file.split('/');
+
+        for (var r in res) {
+            if (res[r].anchored) {
+                if (res[r].re.test(file)) {
+                    return res[r].pattern;
+                }
+                continue;
+            }
+
+            for (var s in segments) {
+                if (res[r].re.test(segments[s])) {
+                    return res[r].pattern;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    excludedBy.patterns = patterns;
+    return excludedBy;
+}
+
+
+/*
+ * Returns a regex that matches strings that match glob as a whole
+ */
+function globRE(glob) {
+    return new RegExp('^' + globSource(glob, false) + '$');
+}
+
+
+/*
+ * Returns true if str contains any wildcards
+ */
+function isGlob(str) {
+    return /[*?]/.test(str);
+}
+
+
+/*
+ * Returns the part of a mapping's local path before its first wildcard
+ */
+function globBase(local) {
+    var base = [];
+    var segments = local.split('/');
+
+    for (var s in segments) {
+        if (isGlob(segments[s])) {
+            break;
+        }
+        base.push(segments[s]);
+    }
+
+    return base.join('/') || '.';
+}
+
+
+
+module.exports = {
+    bestMatch: bestMatch,
+    excluder: excluder,
+    globBase: globBase,
+    globRE: globRE,
+    isGlob: isGlob,
+    mapping: mapping
+};
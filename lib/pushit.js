@@ -1,22 +1,34 @@
 /*
  * pushit - pushes files from a git repo to a remote server
  *
- * CLI entry points
+ * The push pipeline, and the API that the CLI (cli.js) and other tools use
+ * to run it: require('pushit').push({ host: ..., files: [ ... ] }, cb)
  */
 
+var attrs = require('./attrs');
+var backup = require('./backup');
 var common = require('./common');
+var compare = require('./compare');
+var conf = require('./config');
 var cp = require('child_process');
-var dashdash = require('dashdash');
 var debug = common.debug;
+var errorList = common.errorList;
+var EventEmitter = require('events').EventEmitter;
 var fmt = require('util').format;
 var fs = require('fs');
 var hooks = require('./hooks');
+var match = require('./match');
 var MultiError = require('verror').MultiError;
 var path = require('path');
+var run = require('./run');
+var shellQuote = common.shellQuote;
+var sshConf = require('./ssh');
+var tar = require('./tar');
 var util = require('util');
 var vasync = require('vasync');
 var verbose = common.verbose;
 var VError = require('verror').VError;
+var watchPaths = require('./watch').watchPaths;
 
 
 
@@ -24,61 +36,50 @@ var VError = require('verror').VError;
 
 
 
-var COLOUR_END = '\033[39m';
-var COLOUR_GREEN = '\033[32m';
-var COLOUR_RED = '\033[31m';
+var CACHE = process.env.HOME + '/.pushit-cache';
 var CONFIG = process.env.HOME + '/.pushitrc';
+var HISTORY = process.env.HOME + '/.pushit-history';
+var HOOKS_DIR = process.env.HOME + '/.pushit/hooks';
 var REPOS = process.env.HOME + '/.pushit-repos';
-var DRYRUN = false;
-// dashdash options
-var OPTS = [
-    {
-        names: [ 'all', 'a' ],
-        type: 'bool',
-        help: 'Push all changed files.'
-    },
-    {
-        names: [ 'host', 'h' ],
-        type: 'string',
-        help: 'Set the destination host.'
-    },
-    {
-        names: [ 'default', 'd' ],
-        type: 'string',
-        help: 'Save the default host. Running without --host will '
-            + ' push to the default host.'
-    },
-    {
-        names: [ 'show-default' ],
-        type: 'bool',
-        help: 'Print the default host.'
-    },
-    {
-        names: [ 'help', '?' ],
-        type: 'bool',
-        help: 'Print this help and exit.'
-    },
-    {
-        names: [ 'repo' ],
-        type: 'bool',
-        help: 'Print the current repo, for setting in ~/.pushit-repos'
-    },
-    {
-        names: [ 'dryrun' ],
-        type: 'bool',
-        help: 'Print out files to copy, but don\'t actually scp them.'
-    },
-    {
-        names: [ 'debug' ],
-        type: 'bool',
-        help: 'Output debug information.'
-    },
-    {
-        names: [ 'verbose', 'v' ],
-        type: 'bool',
-        help: 'Verbose output.'
-    }
-];
+// Shared config file, checked in at the top of a repo
+var REPO_FILE = '.pushit.json';
+// The number of pushes to keep in the history file
+var HISTORY_MAX = 100;
+var DEFAULT_CONCURRENCY = 10;
+// The kind of error that each pipeline function fails with (see withKinds())
+var ERROR_KINDS = {
+    backupFiles: 'transfer',
+    callFunctions: 'hook',
+    checkPullHost: 'config',
+    compareFiles: 'transfer',
+    copyFiles: 'transfer',
+    deleteFiles: 'transfer',
+    determineVariableWork: 'config',
+    expandVariables: 'config',
+    findAgainPush: 'config',
+    getAllFromGit: 'git',
+    getDiffFromGit: 'git',
+    getGitDirs: 'git',
+    getModifiedFromGit: 'git',
+    getGitRepoRemote: 'git',
+    getGitTop: 'git',
+    loadCache: 'config',
+    loadConfig: 'config',
+    loadHistory: 'config',
+    loadHooks: 'config',
+    loadRepoFile: 'config',
+    loadRepos: 'config',
+    matchPaths: 'config',
+    pullFiles: 'transfer',
+    pushToHosts: 'transfer',
+    resolvePullPaths: 'git',
+    runAfterCommands: 'transfer',
+    runBeforeCommands: 'transfer',
+    selectCommands: 'config',
+    selectTransport: 'config',
+    setToHosts: 'config',
+    validateRemoteRepo: 'config'
+};
 var tagRE = new RegExp('%([^%]+)%', 'g');
 var funcRE = /^[[]([^\]]+)[\]]/;
 
@@ -89,74 +90,162 @@ var funcRE = /^[[]([^\]]+)[\]]/;
 
 
 /*
- * Exits the program with an error message
+ * Returns the names of all of the variables in a string as an array
  */
-function exit() {
-    printErr.apply(null, arguments);
-    process.exit(1);
+function findVars(str) {
+    var vars = [];
+    var tag = tagRE.exec(str);
+    while (tag != null) {
+        vars.push(tag[1]);
+        tag = tagRE.exec(str);
+    }
+
+    return vars;
 }
 
 
 /*
- * Usage
+ * Returns true if a variable name refers to a wildcard in the local side of
+ * a path mapping (eg: %1%) rather than to a variable or hook
  */
-function usage(parser) {
-    console.log([
-        'Usage:',
-        '    pushit [options] --host <user@hostname> <files>',
-        '    pushit [options] --host <user@hostname> -a',
-        '    pushit [options] --default <user@hostname>',
-        '    pushit [options] <files>',
-        '    pushit [options] -a',
-        '',
-        'Options:'
-    ].join('\n') + '\n'
-        + parser.help({includeEnv: true}).trimRight()
-    );
+function isWildcardVar(name) {
+    return /^\d+$/.test(name);
+}
+
 
-    process.exit(0);
+/*
+ * Returns the variable name that a function's value is stored under,
+ * eg: "[smartosZoneAliasToRoot fwapi]"
+ */
+function funcVarName(funcObj) {
+    return fmt('[%s%s%s]',
+        funcObj.func,
+        funcObj.args.length != 0 ? ' ' : '',
+        funcObj.args.join(' '));
 }
 
 
 /*
- * Returns the names of all of the variables in a string as an array
+ * Sets the kind of err (and of each error in it, if it's a MultiError) to
+ * kind, unless it already has one.  Returns err.
  */
-function findVars(str) {
-    var vars = [];
-    var tag = tagRE.exec(str);
-    while (tag != null) {
-        vars.push(tag[1]);
-        tag = tagRE.exec(str);
-    }
+function setKind(err, kind) {
+    [ err ].concat(errorList(err)).forEach(function (e) {
+        if (kind && !e.kind) {
+            e.kind = kind;
+        }
+    });
 
-    return vars;
+    return err;
+}
+
+
+/*
+ * Wraps pipeline functions so that the errors they return have a "kind"
+ * property ("config", "git", "hook" or "transfer", from ERROR_KINDS),
+ * which callers of the API (like the CLI, for its exit status) can use to
+ * tell what went wrong
+ */
+function withKinds(funcs) {
+    return funcs.map(function (func) {
+        return function _withKind(state, callback) {
+            func(state, function (err) {
+                if (err) {
+                    setKind(err, ERROR_KINDS[func.name]);
+                }
+
+                return callback.apply(null, arguments);
+            });
+        };
+    });
+}
+
+
+/*
+ * Reports a command (an array of arguments) that would have been run, for
+ * dry runs
+ */
+function dryrun(state, argv) {
+    state.events.emit('dryrun', argv.map(shellQuote).join(' '),
+        state.toHost, argv);
+}
+
+
+/*
+ * Returns the key in state.fileStatus for entry (from state.copies or
+ * state.deletes)
+ */
+function fileKey(entry) {
+    return entry.localPath.path + '\0' + entry.dest;
 }
 
 
-/**
- * Returns an ANSI colourised error string
+/*
+ * Records the status of a file being copied to (or deleted from) the host
+ * in state.fileStatus, for the summary of the push: name is the event
+ * name (see push())
  */
-function errStr() {
-    return COLOUR_RED + 'Error: ' + COLOUR_END
-        + fmt.apply(null, Array.prototype.slice.apply(arguments));
+function recordFile(state, name, entry, err) {
+    var key = fileKey(entry);
+    var rec = state.fileStatus[key];
+
+    if (!rec) {
+        rec = state.fileStatus[key] = {
+            deleted: !!entry.localPath.deleted,
+            dest: entry.dest,
+            error: null,
+            mapping: entry.localPath.matchingPath.local,
+            path: entry.localPath.path,
+            status: name
+        };
+    }
+
+    rec.status = name;
+    if (name === 'done') {
+        rec.status = rec.deleted ? 'deleted' : 'pushed';
+    }
+
+    if (err) {
+        rec.error = err.message;
+    }
 }
 
 
-/**
- * Returns an ANSI colourised OK (success) string
+/*
+ * Emits an event for a file being copied to (or deleted from) the host:
+ * entry is from state.copies or state.deletes
  */
-function okStr() {
-    return COLOUR_GREEN
-        + fmt.apply(null, Array.prototype.slice.apply(arguments))
-        + COLOUR_END;
+function emitFile(state, name, entry, err) {
+    recordFile(state, name, entry, err);
+
+    var ev = {
+        deleted: !!entry.localPath.deleted,
+        dest: entry.dest,
+        host: state.toHost,
+        mapping: entry.localPath.matchingPath.local,
+        path: entry.localPath.path
+    };
+
+    if (err) {
+        ev.err = err;
+    }
+
+    state.events.emit(name, ev);
 }
 
 
-/**
- * Prints out a colourised error string
+/*
+ * Calls callback with the text of a config file, or of the object passed
+ * in its place to the API, so that both are parsed and checked the same way
  */
-function printErr() {
-    return console.error(errStr.apply(null, arguments));
+function readConfigText(file, given, callback) {
+    if (given !== undefined) {
+        return callback(null, JSON.stringify(given, null, 4));
+    }
+
+    fs.readFile(file, function (err, data) {
+        return callback(err, err ? null : data.toString());
+    });
 }
 
 
@@ -166,13 +255,17 @@ function printErr() {
 
 
 /*
- * Gets the remote repo name using git
+ * Gets the git remotes for the repo into state.remotes (each with a name
+ * and url), and sets state.repo to the URL of the first.  If a remote was
+ * picked with the remote option, only that one is used.  Otherwise,
+ * "origin" comes first, then the rest in the order git lists them.
  */
 function getGitRepoRemote(state, callback) {
     debug('==> getGitRepoRemote start');
     var cmd = 'git remote -v';
 
-    cp.exec(cmd, function (err, stdout, stderr) {
+    cp.execFile('git', [ 'remote', '-v' ], { cwd: state.repoDir },
+        function (err, stdout, stderr) {
         if (err) {
             return callback(err);
         }
@@ -180,50 +273,111 @@ function getGitRepoRemote(state, callback) {
             return callback(new Error(cmd + ': no remote git repo'));
         }
 
-        var lines = stdout.split('\n');
-        var line = lines[0];
-        var fields = line.split(/\s+/);
-        var repo = fields[1];
-        if (!repo) {
+        // Each line is "<name>\t<url> (fetch)" or "... (push)"
+        var remotes = [];
+        var seen = {};
+        stdout.split('\n').forEach(function (line) {
+            var fields = line.split(/\s+/);
+            if (!fields[1] || seen.hasOwnProperty(fields[0])) {
+                return;
+            }
+
+            seen[fields[0]] = 1;
+            remotes.push({ name: fields[0], url: fields[1] });
+        });
+
+        if (state.remote) {
+            remotes = remotes.filter(function (r) {
+                return r.name === state.remote;
+            });
+            if (remotes.length === 0) {
+                return callback(new VError('No git remote named "%s"',
+                    state.remote));
+            }
+        } else if (seen.hasOwnProperty('origin')) {
+            remotes.sort(function (a, b) {
+                return (b.name === 'origin') - (a.name === 'origin');
+            });
+        }
+
+        if (remotes.length === 0) {
             return callback(new Error(
                 cmd + ': could not determine remote git repo'));
         }
 
-        debug('remote git repo="%s"', repo);
-        state.repo = repo;
+        debug('remote git repos: %j', remotes);
+        state.remotes = remotes;
+        state.repo = remotes[0].url;
         return callback(null);
     });
 }
 
 
 /*
- * Loads the username and hostname from the config file
+ * Returns the name of the entry in the repos file for the first of the
+ * repo's remotes that has one (setting state.repo to that remote's URL), or
+ * null if none of them do
+ */
+function findRepoEntry(state) {
+    for (var r in state.remotes) {
+        var name = conf.findRepo(state.repos, state.remotes[r].url);
+        if (name !== null) {
+            debug('remote "%s" (%s): using repo "%s"',
+                state.remotes[r].name, state.remotes[r].url, name);
+            state.repo = state.remotes[r].url;
+            return name;
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Loads the username and hostname (and the ssh options for each host) from
+ * the config file
  */
 function loadConfig(state, callback) {
     debug('==> loadConfig start');
 
-    // If we've passed in a host, don't bother loading the config
-    if (state.toHost) {
-        return callback();
-    }
+    var file = state.files.config;
+    debug('Loading config from "%s"', file);
 
-    debug('Loading config from "%s"', CONFIG);
+    // If we've passed in hosts and no groups, the config is only needed
+    // for the hosts' ssh options, so it doesn't have to exist
+    var needed = (state.toHosts.length === 0 || state.groups.length !== 0);
 
-    fs.readFile(CONFIG, function (err, data) {
+    readConfigText(file, state.given.config, function (err, text) {
         if (err) {
+            if (err.code == 'ENOENT' && !needed) {
+                debug('Config file "%s" does not exist', file);
+                state.config = {};
+                return callback(null);
+            }
+
             if (err.code == 'ENOENT') {
                 return callback(new VError(
                     'Config file "%s" does not exist. Create it with '
-                    + '"pushit --host username@hostname"', CONFIG));
+                    + '"pushit --default username@hostname"', file));
             }
 
             return callback(err);
         }
 
-        state.config = JSON.parse(data.toString());
+        try {
+            state.config = conf.parse(file, text);
+        } catch (parseErr) {
+            return callback(parseErr);
+        }
         verbose('config: %j', state.config);
 
-        if (!state.config.hasOwnProperty('defaultHost')) {
+        var errors = conf.checkConfig(file, text, state.config);
+        if (errors.length !== 0) {
+            return callback(new MultiError(errors));
+        }
+
+        if (state.toHosts.length === 0 && state.groups.length === 0
+            && !state.config.hasOwnProperty('defaultHost')) {
             return callback(new Error(
                 'Config file is missing the "defaultHost" property: '
                 + 'set it with "pushit --default myhostname"'
@@ -236,451 +390,758 @@ function loadConfig(state, callback) {
 
 
 /*
- * Loads the hostname from state.toHost (set by the --host option) if set,
- * or defaultHost in the config file
+ * Sets the hosts to push to: the hosts in state.toHosts (set by the --host
+ * option) plus the hosts in any groups in state.groups (set by the --group
+ * option), or defaultHost in the config file if neither was given
  */
-function setToHost(state, callback) {
-    debug('==> setToHost start');
+function setToHosts(state, callback) {
+    debug('==> setToHosts start');
 
-    if (state.toHost) {
+    if (state.toHosts.length === 0 && state.groups.length === 0) {
+        state.toHosts = [ state.config.defaultHost ];
         return callback();
     }
 
-    state.toHost = state.config.defaultHost;
+    var errors = [];
+    var groups = state.config ? state.config.groups || {} : {};
+    var hosts = state.toHosts;
+
+    state.groups.forEach(function (group) {
+        if (!groups.hasOwnProperty(group)) {
+            errors.push(new VError(
+                'Group "%s" not found in config file "%s"', group,
+                state.files.config));
+            return;
+        }
+
+        debug('group "%s": hosts=%j', group, groups[group]);
+        hosts = hosts.concat(groups[group]);
+    });
+
+    if (errors.length != 0) {
+        return callback(new MultiError(errors));
+    }
+
+    // Don't push to the same host twice if it's in more than one group
+    state.toHosts = hosts.filter(function (host, i) {
+        return hosts.indexOf(host) === i;
+    });
+    debug('hosts: %j', state.toHosts);
+
     return callback();
 }
 
 
 /*
- * Load the repo data
+ * Loads the hook values cached by previous runs
  */
-function loadRepos(state, callback) {
-    debug('==> loadRepos start');
-    debug('Loading repos file from "%s"', REPOS);
+function loadCache(state, callback) {
+    debug('==> loadCache start');
+    state.cache = {};
+
+    if (!state.useCache) {
+        debug('  not using cache');
+        return callback(null);
+    }
 
-    fs.readFile(REPOS, function (err, data) {
+    debug('Loading cache from "%s"', state.files.cache);
+    fs.readFile(state.files.cache, function (err, data) {
         if (err) {
             if (err.code == 'ENOENT') {
-                return callback(new VError(
-                    'Repo file "%s" does not exist.', REPOS));
+                return callback(null);
             }
 
             return callback(err);
         }
 
-        state.repos = JSON.parse(data.toString());
-        debug('repos: %j', state.repos);
+        try {
+            state.cache = JSON.parse(data.toString());
+        } catch (parseErr) {
+            // The cache only saves us time, so don't fail the push over it
+            verbose('Ignoring invalid cache file "%s": %s',
+                state.files.cache, parseErr.message);
+        }
 
+        debug('cache: %j', state.cache);
         return callback(null);
     });
 }
 
 
 /*
- * Ensures we're in a remote repo that we know about
+ * Saves the hook values for each host in state.hosts to the cache
  */
-function validateRemoteRepo(state, callback) {
-    debug('==> validateRemoteRepo start');
+function saveCache(state, callback) {
+    debug('==> saveCache start');
 
-    if (!state.repos.hasOwnProperty(state.repo)) {
-        return callback(new VError(
-        'Repo "%s" not known: add it to the repos file: %s',
-        state.repo, REPOS));
+    if (!state.useCache || state.dryrun) {
+        return callback(null);
     }
 
-    return callback(null);
-}
-
-
-/*
- * Gets the top-level directory of this git repo
- */
-function getGitTop(state, callback) {
-    debug('==> getGitTop start');
+    for (var host in state.hosts) {
+        state.cache[host] = state.hosts[host].funcValues;
+    }
 
-    cp.exec('git rev-parse --show-toplevel', function (err, stdout, stderr) {
+    var file = state.files.cache;
+    debug('Writing cache to "%s": %j', file, state.cache);
+    fs.writeFile(file, JSON.stringify(state.cache, null, 2), function (err) {
         if (err) {
-            return callback(err);
+            verbose('Could not write cache file "%s": %s', file,
+                err.message);
         }
 
-        var lines = stdout.split('\n');
-        debug('git top-level directory="%s"', lines[0]);
-        state.top = lines[0];
         return callback(null);
     });
 }
 
 
 /*
- * If --all was specified, figure out which files were modified in this repo
+ * Loads the history of earlier pushes (that have backups) into
+ * state.history
  */
-function getAllFromGit(state, callback) {
-    debug('==> getAllFromGit start');
-
-    if (!state.pushAll) {
-        debug('  --all not specified: not getting all');
-        return callback(null);
-    }
+function loadHistory(state, callback) {
+    debug('==> loadHistory start');
+    state.history = [];
 
-    cp.exec('git status --porcelain', function (err, stdout, stderr) {
+    var file = state.files.history;
+    debug('Loading history from "%s"', file);
+    fs.readFile(file, function (err, data) {
         if (err) {
+            if (err.code == 'ENOENT') {
+                return callback(null);
+            }
+
             return callback(err);
         }
 
-        if (stdout === '') {
-            return callback(new Error('No changed files in git repo'));
+        try {
+            state.history = conf.parse(file, data.toString());
+        } catch (parseErr) {
+            return callback(parseErr);
         }
 
-        var toPush = [];
+        return callback(null);
+    });
+}
 
-        var lines = stdout.split('\n');
-        for (var l in lines) {
-            var line = lines[l].replace(/^\s+/, '');
-            var fields = line.split(/\s+/);
-            var type = fields[0];
-            var file = fields[1];
-            debug('git file: type="%s", file="%s" (line="%s")',
-                type, file, line);
-            if (type != 'M') {
-                continue;
-            }
 
-            toPush.push(file);
+/*
+ * Writes state.history to the history file, keeping only the last
+ * HISTORY_MAX pushes
+ */
+function writeHistory(state, callback) {
+    state.history = state.history.slice(-HISTORY_MAX);
+
+    var file = state.files.history;
+    debug('Writing history to "%s"', file);
+    fs.writeFile(file, JSON.stringify(state.history, null, 2),
+        function (err) {
+        if (err) {
+            return callback(new VError(err,
+                'Could not write history file "%s"', file));
         }
 
-        state.toPushRaw = toPush;
         return callback(null);
     });
 }
 
 
 /*
- * Checks that passed-in paths exist, and converts them to relative paths
+ * Adds a record of the push to each host to the history file: the files
+ * pushed and deleted, where each went and whether it worked, and the
+ * backups made (so that the push can be undone later)
  */
-function resolveLocalPaths(state, callback) {
-    debug('==> resolveLocalPaths start');
+function saveHistory(state, callback) {
+    debug('==> saveHistory start');
 
-    vasync.forEachParallel({
-        inputs: state.toPushRaw,
-        func: function (f, cb) {
-            fs.stat(f, function _afterStat(err, stat) {
-                if (err) {
-                    return cb(err);
+    // Pulls and --diff don't change anything on the hosts
+    if (state.dryrun || state.hostFuncs) {
+        return callback(null);
+    }
+
+    var files = [];
+    var deletes = [];
+    state.toPush.forEach(function (f) {
+        (f.deleted ? deletes : files).push(f.path);
+    });
+
+    var records = state.toHosts.map(function (host) {
+        var res = state.results[host];
+        var bk = res.backup;
+        var backedUp = bk && (bk.saved.length !== 0 || bk.created.length !== 0);
+
+        return {
+            created: backedUp ? bk.created : [],
+            createdDirs: backedUp ? bk.createdDirs : [],
+            deletes: deletes,
+            dir: backedUp ? bk.dir : null,
+            error: res.err ? res.err.message : null,
+            files: files,
+            host: host,
+            id: state.pushId,
+            ok: !res.err,
+            repo: state.repo,
+            results: res.files.map(function (f) {
+                return {
+                    deleted: f.deleted,
+                    dest: f.dest,
+                    error: f.error,
+                    path: f.path,
+                    status: f.status
+                };
+            }),
+            saved: backedUp ? bk.saved : [],
+            tars: backedUp ? bk.tars : [],
+            time: state.pushTime
+        };
+    });
+
+    if (records.length === 0) {
+        return callback(null);
+    }
+
+    loadHistory(state, function (err) {
+        if (!err) {
+            state.history = state.history.concat(records);
+            return writeHistory(state, function (writeErr) {
+                if (writeErr) {
+                    verbose(writeErr.message);
                 }
 
-                var file = path.relative(state.top, f);
-                debug('Adding local path "%s"', file);
-                state.toPush.push({ path: file, isDir: stat.isDirectory() });
-                return cb(null);
+                return callback(null);
             });
         }
-    }, function (err) {
-        if (err) {
-            return callback(err);
-        }
 
+        // Don't fail the push (or overwrite the file) if it's unreadable
+        verbose('Could not save push history: %s', err.message);
         return callback(null);
     });
 }
 
 
 /*
- * Determine what needs to be done to satisfy each path (what variables
- * are needed, what functions need to be called)
+ * For the again option: finds the push to repeat in the history file (the
+ * state.again'th most recent push from this repo), and pushes the same
+ * files (and deletes the same ones) again.  Unless hosts were given, they
+ * go to the same hosts as before.
  */
-function determineVariableWork(state, callback) {
-    debug('==> determineVariableWork start');
-
-    var repo = state.repos[state.repo];
-    var errors = [];
-    var paths = [];
+function findAgainPush(state, callback) {
+    debug('==> findAgainPush start');
 
-    for (var p in repo.paths) {
-        var fields = repo.paths[p].split('=');
-        // TODO: support multiple paths separated by a comma
-        var pathObj = {
-            local: path.relative(state.top, path.join(state.top, fields[0])),
-            remote: fields[1],
-            vars: findVars(fields[1]),
-            funcs: []
-        };
+    if (!state.again) {
+        return callback(null);
+    }
 
-        if (!pathObj.local) {
-            pathObj.local = '.';
+    loadHistory(state, function (err) {
+        if (err) {
+            return callback(err);
         }
-        pathObj.re = new RegExp('^' + pathObj.local);
 
-        debug('path: [%s=%s]: local="%s", remote="%s", vars="%j"', fields[0],
-            fields[1], pathObj.local, pathObj.remote, pathObj.vars);
-
-        var seenVars = {};
-
-        function processVar(pVar, origVar) {
-            if (seenVars.hasOwnProperty(pVar)) {
-                debug('  processVar: seen "%s", returning', pVar);
-                return;
+        // Records from before the history had file lists can't be repeated
+        var ids = [];
+        var records = state.history.filter(function (r) {
+            if (r.repo !== state.repo || !r.files) {
+                return false;
             }
-            debug('  processVar: "%s"', pVar);
 
-            state.varValues[pVar] = repo.variables[pVar];
-            seenVars[pVar] = 1;
+            if (ids.indexOf(r.id) === -1) {
+                ids.push(r.id);
+            }
+            return true;
+        });
 
-            var func = funcRE.exec(pVar);
-            if (func) {
-                var params = func[1].split(/\s+/g);
-                debug('    function: "%s": args=%j', params[0],
-                    params.slice(1));
-                if (!hooks.hasOwnProperty(params[0])) {
-                    debug('    function "%s" not found, returning', params[0]);
-                    errors.push(new VError('Unknown variable "%s"', params[0]));
-                    return;
-                }
+        if (ids.length === 0) {
+            return callback(new VError(
+                'No pushes from repo "%s" in the history file', state.repo));
+        }
 
-                var funcObj = {
-                    func: params[0],
-                    args: params.slice(1),
-                    varName: origVar ? origVar : pVar
-                };
-                debug('    function "%s": args=%j, varName=%s',
-                    funcObj.func, funcObj.args, funcObj.varName);
-                pathObj.funcs.unshift(funcObj);
+        if (ids.length < state.again) {
+            return callback(new VError(
+                'Only %d push(es) from repo "%s" in the history file',
+                ids.length, state.repo));
+        }
 
-                return true;
-            }
+        var id = ids[ids.length - state.again];
 
-            if (!repo.variables.hasOwnProperty(pVar)) {
-                debug('    variable "%s" not found, returning', pVar);
-                errors.push(new VError('Unknown variable "%s"', pVar));
-                return;
-            }
+        records = records.filter(function (r) {
+            return r.id === id;
+        });
+        verbose('Repeating push %s (%s)', id, records[0].time);
 
-            debug('    variable "%s" found', pVar);
-            return true;
+        if (state.repeatHosts) {
+            state.toHosts = records.map(function (r) {
+                return r.host;
+            });
         }
 
-        for (var v in pathObj.vars) {
-            var vName = pathObj.vars[v];
-            debug('path "%s": var="%s"', fields[0], vName);
-            if (!processVar(vName)) {
-                continue;
-            }
+        records[0].deletes.forEach(function (file) {
+            state.toPush.push({ path: file, deleted: true });
+        });
+        state.toPushRaw = records[0].files.map(function (file) {
+            return path.join(state.top, file);
+        });
 
-            var otherVars = findVars(repo.variables[vName]);
-            if (otherVars.length === 0) {
-                state.varValues[vName] = vName;
-            }
+        return callback(null);
+    });
+}
 
-            while (otherVars.length !== 0) {
-                var oVar = otherVars.shift();
-                debug('other var="%s"', oVar);
-                if (!processVar(oVar, vName)) {
-                    continue;
-                }
 
-                pathObj.vars.unshift(oVar);
-                var varVars = findVars(repo.variables[oVar]);
-                if (varVars.length === 0) {
-                    state.varValues[oVar] = oVar;
-                }
+/*
+ * Load the repo data
+ */
+function loadRepos(state, callback) {
+    debug('==> loadRepos start');
+    var file = state.files.repos;
+    debug('Loading repos file from "%s"', file);
 
-                debug('  varVars=%j', varVars);
-                otherVars = otherVars.concat(varVars);
+    readConfigText(file, state.given.repos, function (err, text) {
+        if (err) {
+            if (err.code == 'ENOENT') {
+                // The repo may be configured by its .pushit.json instead
+                debug('Repo file "%s" does not exist', file);
+                state.repos = {};
+                state.reposText = '{}';
+                return callback(null);
             }
+
+            return callback(err);
         }
 
-        paths.push(pathObj);
-    }
+        state.reposText = text;
+        try {
+            state.repos = conf.parse(file, state.reposText);
+        } catch (parseErr) {
+            return callback(parseErr);
+        }
+        debug('repos: %j', state.repos);
 
-    if (errors.length != 0) {
-        return callback(new MultiError(errors));
-    }
+        var errors = conf.checkRepos(file, state.reposText, state.repos);
+        if (errors.length !== 0) {
+            return callback(new MultiError(errors));
+        }
 
-    state.remotePaths = paths;
-    return callback(null);
+        return callback(null);
+    });
 }
 
 
 /*
- * Calls any functions needed to fill variable values
+ * Loads the .pushit.json file from the top of the git repo, if there is one
  */
-function callFunctions(state, callback) {
-    debug('==> callFunctions start');
+function loadRepoFile(state, callback) {
+    debug('==> loadRepoFile start');
 
-    var errors = [];
-    var matchingPaths = [];
-
-    for (var lp in state.toPush) {
-        var localPath = state.toPush[lp];
-        var matchingPath = null;
-        debug('  local path: %s', localPath.path);
+    var file = path.join(state.top, REPO_FILE);
+    debug('Loading repo config from "%s"', file);
 
-        for (var rp in state.remotePaths) {
-            var remotePath = state.remotePaths[rp];
-            if (remotePath.re.test(localPath.path)) {
-                debug('    MATCHED: remote path "%s" (%s)', remotePath.local,
-                    remotePath.re.toString());
-                matchingPath = remotePath;
-                break;
+    fs.readFile(file, function (err, data) {
+        if (err) {
+            if (err.code == 'ENOENT') {
+                debug('  "%s" does not exist', file);
+                return callback(null);
             }
 
-            debug('    tried:   remote path "%s" (%s)', remotePath.local,
-                remotePath.re.toString());
+            return callback(err);
         }
 
-        if (!matchingPath) {
-            errors.push(new VError(
-                'No config file paths matched for "%s"', localPath.path));
-            continue;
+        var text = data.toString();
+        var repo;
+        try {
+            repo = conf.parse(file, text);
+        } catch (parseErr) {
+            return callback(parseErr);
         }
+        debug('repo config: %j', repo);
 
-        localPath.matchingPath = matchingPath;
-        matchingPaths = matchingPaths.concat(matchingPath.funcs);
-    }
+        // Kept even if it has problems, for checkConfig() to report the
+        // rest of them
+        state.repoFile = file;
+        state.repoText = text;
+        state.sharedRepo = repo;
 
-    if (errors.length != 0) {
-        return callback(new MultiError(errors));
+        var errors = conf.checkRepoFile(file, text, repo);
+        if (errors.length !== 0) {
+            return callback(new MultiError(errors));
+        }
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * Ensures we're in a remote repo that we know about, combining its entry
+ * in the repos file with its .pushit.json
+ */
+function validateRemoteRepo(state, callback) {
+    debug('==> validateRemoteRepo start');
+
+    var name = findRepoEntry(state);
+    var personal = (name === null) ? null : state.repos[name];
+    if (!personal && !state.sharedRepo) {
+        return callback(new VError(
+        'Repo "%s" not known: add it to the repos file (%s), or add a %s '
+        + 'file to the top of the repo', state.repo, state.files.repos,
+        REPO_FILE));
     }
 
-    // First, go through all of the needed functions to get data
-    vasync.forEachParallel({
-        inputs: matchingPaths,
-        func: function (curFunc, cb) {
-            var funcName = curFunc.func;
-            var funcVarName = fmt('[%s%s%s]',
-                funcName,
-                curFunc.args.length != 0 ? ' ' : '',
-                curFunc.args.join(' '));
+    debug('repo "%s": using %s', state.repo,
+        [ personal ? state.files.repos : null, state.repoFile ].filter(
+            function (f) {
+            return f;
+        }).join(' and '));
 
-            if (state.funcValues.hasOwnProperty(funcVarName)) {
-                debug('func "%s" (args=%j): already ran, returing',
-                    funcName, curFunc.args);
-                return cb(null);
-            }
+    state.repos[state.repo] = conf.mergeRepo(personal, state.sharedRepo);
+    debug('repo config: %j', state.repos[state.repo]);
 
-            function hookHandler(e, r) {
-                if (e) {
-                    return cb(new VError('Function "%s" failed: %s',
-                        funcName, e.message));
-                }
-                debug('function "%s" (args=%j) returned "%s"',
-                    funcName, curFunc.args, r);
+    return callback(null);
+}
 
-                state.funcValues[funcVarName] = r;
-                state.varValues[funcVarName] = r;
 
-                return cb(null);
-            }
+/*
+ * Sets up state.hooks with the hooks that can be used in variables: the
+ * built-in ones, then ones from plugins in the hooks directory, then the
+ * ones declared in the current repo (each overriding any earlier hooks with
+ * the same name)
+ */
+function loadHooks(state, callback) {
+    debug('==> loadHooks start');
 
-            hooks[funcName].apply(this,
-                [state].concat(curFunc.args).concat(hookHandler));
+    var h;
+    var repo = (state.repos || {})[state.repo] || {};
+    state.hooks = {};
+
+    for (h in hooks.builtin) {
+        state.hooks[h] = hooks.builtin[h];
+    }
+
+    debug('Loading hook plugins from "%s"', state.files.hooks);
+    hooks.loadPlugins(state.files.hooks, function (err, plugins) {
+        if (err) {
+            return callback(err);
         }
-    }, function (err) {
+
+        for (h in plugins) {
+            state.hooks[h] = plugins[h];
+        }
+
+        for (h in repo.hooks) {
+            debug('hook "%s": from repo: %j', h, repo.hooks[h]);
+            state.hooks[h] = hooks.commandHook(h, repo.hooks[h]);
+        }
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * Picks the transport to copy files with: the one from --transport, then
+ * the repo's "transport" setting, then scp
+ */
+function selectTransport(state, callback) {
+    debug('==> selectTransport start');
+
+    if (!state.transport) {
+        state.transport = state.repos[state.repo].transport || 'scp';
+    }
+    debug('transport: %s', state.transport);
+
+    if (state.mirror && state.transport !== 'rsync') {
+        return callback(new VError(
+            '--mirror can only be used with the rsync transport (not %s)',
+            state.transport));
+    }
+
+    return callback(null);
+}
+
+
+/*
+ * Gets the top-level directory of this git repo
+ */
+function getGitTop(state, callback) {
+    debug('==> getGitTop start');
+
+    cp.execFile('git', [ 'rev-parse', '--show-toplevel' ],
+        { cwd: state.repoDir }, function (err, stdout, stderr) {
         if (err) {
             return callback(err);
         }
 
-        debug(util.inspect(state));
+        var lines = stdout.split('\n');
+        debug('git top-level directory="%s"', lines[0]);
+        state.top = lines[0];
         return callback(null);
     });
 }
 
 
 /*
- * Expands variables in remote paths, resulting in a set of scp commands
- * stored in state.scpCommands
+ * Gets the top-level directories that git tracks files in into state.dirs
  */
-function expandVariables(state, callback) {
-    debug('==> expandVariables start');
-    for (var lp in state.toPush) {
-        var e;
-        var localPath = state.toPush[lp];
-        var remotePath = localPath.matchingPath;
-        var toExpand;
+function getGitDirs(state, callback) {
+    debug('==> getGitDirs start');
 
-        for (var v in remotePath.vars) {
-            var varName = remotePath.vars[v];
-            debug('  var="%s"', varName);
+    cp.execFile('git', [ 'ls-files', '-z' ], { cwd: state.top },
+        function (err, stdout) {
+        if (err) {
+            return callback(err);
+        }
 
-            toExpand = findVars(state.varValues[varName]);
-            for (e in toExpand) {
-                var expName = toExpand[e];
-                debug('    toExpand: "%s": "%s"',
-                    expName, state.varValues[varName]);
-                debug('    "%s"=>"%s"', fmt('%%%s%', expName),
-                    state.varValues[expName]);
-                state.varValues[varName] = state.varValues[varName].replace(
-                    fmt('%%%s%', expName), state.varValues[expName]);
+        state.dirs = [];
+        stdout.split('\0').forEach(function (file) {
+            var dir = file.substr(0, file.indexOf('/'));
+            if (dir !== '' && state.dirs.indexOf(dir) === -1) {
+                state.dirs.push(dir);
             }
-        }
+        });
+
+        state.dirs.sort();
+        debug('git top-level directories: %j', state.dirs);
+        return callback(null);
+    });
+}
+
+
+/*
+ * If --all was specified, figure out which files were added, modified,
+ * renamed or deleted in this repo (and which are untracked, if
+ * --untracked was specified).  Deleted files are added to state.toPush
+ * (to be deleted on the host) if --propagate-deletes was specified.
+ */
+function getAllFromGit(state, callback) {
+    debug('==> getAllFromGit start');
+
+    if (!state.pushAll) {
+        debug('  --all not specified: not getting all');
+        return callback(null);
+    }
+
+    var gitArgs = [ 'status', '--porcelain', '-z',
+        '--untracked-files=' + (state.untracked ? 'all' : 'no') ];
 
-        toExpand = findVars(remotePath.remote);
-        for (e in toExpand) {
-            remotePath.remote = remotePath.remote.replace(
-                fmt('%%%s%', toExpand[e]), state.varValues[toExpand[e]]);
+    cp.execFile('git', gitArgs, { cwd: state.top },
+        function (err, stdout, stderr) {
+        if (err) {
+            return callback(err);
         }
 
-        if (remotePath.remote.indexOf('%') !== -1) {
-            return callback(new VError('Found %%: "%s" => "%s"',
-                localPath.path, remotePath.remote));
+        var deleted = [];
+        var toPush = [];
+
+        // Each entry is "XY path", where X is the status in the index and
+        // Y is the status in the work tree.  Renames and copies are
+        // followed by another entry with the original path.
+        var entries = stdout.split('\0');
+        for (var e = 0; e < entries.length; e++) {
+            if (entries[e] === '') {
+                continue;
+            }
+
+            var status = entries[e].substr(0, 2);
+            var file = entries[e].substr(3);
+            var from = null;
+
+            if (/[RC]/.test(status)) {
+                from = entries[++e];
+            }
+
+            debug('git file: status="%s", file="%s"%s', status, file,
+                from ? fmt(' (from "%s")', from) : '');
+
+            if (/U/.test(status) || status === 'AA' || status === 'DD') {
+                verbose('Not pushing "%s": it has merge conflicts', file);
+                continue;
+            }
+
+            if (status[0] === 'R') {
+                deleted.push(from);
+            }
+
+            if (/D/.test(status)) {
+                deleted.push(file);
+                continue;
+            }
+
+            toPush.push(file);
         }
 
-        // Trim off the redundant portion of the local path, eg: if local
-        // src/foo maps to /usr/src/bar, trim the local portion from
-        // src/foo/blah.js
-        var trimmedRemote = localPath.path;
-        if (remotePath.local !== '.') {
-            var trimRE = new RegExp('^' + remotePath.local);
-            trimmedRemote = localPath.path.replace(trimRE, '');
-            if (trimmedRemote.indexOf('/') === 0) {
-                trimmedRemote = trimmedRemote.substr(1);
+        return addGitFiles(state, toPush, deleted, 'No changed files in git '
+            + 'repo', callback);
+    });
+}
+
+
+/*
+ * Calls callback(err, args) with the git arguments that list the changed
+ * files for --since (from where this branch forked from that ref to the
+ * working tree) or --commit (from the commit's parent to the commit)
+ */
+function diffArgs(state, callback) {
+    var ref = state.commit || state.since;
+    var args = [ '-M', '--name-status', '-z' ];
+
+    // Don't let git take the ref for an option
+    if (ref[0] === '-') {
+        return callback(new VError('Invalid git ref "%s"', ref));
+    }
+
+    if (state.commit) {
+        cp.execFile('git', [ 'rev-parse', '--verify', '-q',
+            state.commit + '^' ], { cwd: state.top }, function (err) {
+            if (err) {
+                // The first commit in the repo has no parent to diff
+                // against: --root lists all of its files as added
+                debug('"%s" has no parent: diffing from the empty tree',
+                    state.commit);
+                return callback(null, [ 'diff-tree', '--root',
+                    '--no-commit-id', '-r' ].concat(args, state.commit));
             }
+
+            return callback(null, [ 'diff' ].concat(args,
+                state.commit + '^', state.commit));
+        });
+        return;
+    }
+
+    cp.execFile('git', [ 'merge-base', state.since, 'HEAD' ],
+        { cwd: state.top }, function (err, stdout, stderr) {
+        if (err) {
+            return callback(new VError('Could not find where HEAD forked '
+                + 'from "%s": %s', state.since, stderr.trim()));
         }
 
-        // If it's a directory, we want to copy it to the parent
-        var remote = fmt('%s/%s', remotePath.remote, trimmedRemote);
-        if (localPath.isDir) {
-            remote = remote.substr(0, remote.lastIndexOf('/'));
+        debug('merge base with "%s": %s', state.since, stdout.trim());
+        return callback(null, [ 'diff' ].concat(args, stdout.trim()));
+    });
+}
+
+
+/*
+ * If --since or --commit was specified, figure out which files changed
+ * since this branch forked from that ref, or in that commit.  Deleted files
+ * are handled the same way as for --all.
+ */
+function getDiffFromGit(state, callback) {
+    debug('==> getDiffFromGit start');
+
+    if (!state.since && !state.commit) {
+        debug('  --since and --commit not specified: not diffing');
+        return callback(null);
+    }
+
+    diffArgs(state, function (argsErr, gitArgs) {
+        if (argsErr) {
+            return callback(argsErr);
         }
 
-        debug('  remote=%s, trimmed=%s, localPath=%j, remotePath=%j',
-            remote, trimmedRemote, localPath, remotePath);
+        cp.execFile('git', gitArgs, { cwd: state.top },
+            function (err, stdout, stderr) {
+            if (err) {
+                return callback(new VError('git %s failed: %s',
+                    gitArgs.map(shellQuote).join(' '), stderr.trim()));
+            }
+
+            var deleted = [];
+            var toPush = [];
+
+            // Each entry is a status letter (with a similarity score for
+            // renames and copies) then the path.  Renames and copies have
+            // the original path before the new one.
+            var fields = stdout.split('\0');
+            for (var f = 0; f < fields.length; f++) {
+                if (fields[f] === '') {
+                    continue;
+                }
+
+                var status = fields[f][0];
+                var from = null;
+
+                if (status === 'R' || status === 'C') {
+                    from = fields[++f];
+                }
+
+                var file = fields[++f];
+                debug('git file: status="%s", file="%s"%s', status, file,
+                    from ? fmt(' (from "%s")', from) : '');
+
+                if (status === 'R') {
+                    deleted.push(from);
+                }
+
+                if (status === 'D') {
+                    deleted.push(file);
+                    continue;
+                }
+
+                toPush.push(file);
+            }
+
+            return addGitFiles(state, toPush, deleted,
+                fmt('No files changed %s', state.commit ?
+                    fmt('in commit "%s"', state.commit) :
+                    fmt('since "%s"', state.since)), callback);
+        });
+    });
+}
+
 
-        var scpCmd = fmt('scp %s%s/%s %s:%s',
-            localPath.isDir ? '-r ' : '',
-            state.top,
-            localPath.path,
-            state.toHost,
-            remote
-        );
+/*
+ * Sets the files found by getAllFromGit() or getDiffFromGit() to be pushed
+ * (toPush) and deleted on the host if --propagate-deletes was specified
+ * (deleted).  Both are relative to the top of the repo.  If there are none,
+ * returns an error with message noneMsg.
+ */
+function addGitFiles(state, toPush, deleted, noneMsg, callback) {
+    if (!state.propagateDeletes && deleted.length !== 0) {
+        verbose('Not deleting %d file(s) on the host: use '
+            + '--propagate-deletes to delete them', deleted.length);
+        deleted = [];
+    }
 
-        debug('  scp command: %s', scpCmd);
-        state.scpCommands.push(scpCmd);
+    if (toPush.length === 0 && deleted.length === 0) {
+        return callback(new Error(noneMsg));
     }
 
+    deleted.forEach(function (file) {
+        debug('Adding deleted path "%s"', file);
+        state.toPush.push({ path: file, deleted: true });
+    });
+
+    state.toPushRaw = toPush.map(function (file) {
+        return path.join(state.top, file);
+    });
     return callback(null);
 }
 
 
 /*
- * scp the files to the host
+ * Checks that passed-in paths exist, and converts them to relative paths
  */
-function runScpCommands(state, callback) {
-    debug('==> runScpCommands start');
+function resolveLocalPaths(state, callback) {
+    debug('==> resolveLocalPaths start');
 
     vasync.forEachParallel({
-        inputs: state.scpCommands,
-        func: function _runScp(cmd, cb) {
-            if (DRYRUN) {
-                console.log('# %s', cmd);
-                return cb(null);
-            }
+        inputs: state.toPushRaw,
+        func: function (f, cb) {
+            fs.stat(f, function _afterStat(err, stat) {
+                var file = path.relative(state.top, f);
+
+                // Files from --commit are pushed from the working tree, so
+                // ones that have been deleted since can't be
+                if (err && err.code === 'ENOENT' && state.commit) {
+                    return cb(setKind(new VError('"%s" (changed in "%s") '
+                        + 'no longer exists in the working tree', file,
+                        state.commit), 'git'));
+                }
 
-            verbose('# %s', cmd);
-            cp.exec(cmd, function (err, stdout, stderr) {
                 if (err) {
                     return cb(err);
                 }
 
+                debug('Adding local path "%s"', file);
+                state.toPush.push({ path: file, isDir: stat.isDirectory() });
                 return cb(null);
             });
         }
@@ -694,152 +1155,2865 @@ function runScpCommands(state, callback) {
 }
 
 
-
-// --- Entry functions
-
-
-
 /*
- * Sets the hostname and username to push to
+ * Converts the paths to pull to paths relative to the top of the repo.
+ * Directories can't be pulled, since we don't know which files in them to
+ * get.  For the allMapped option, every file that git tracks under that
+ * directory and that a path mapping matches is pulled instead.
  */
-function setHost(host) {
-    var config = { defaultHost: host };
-    debug('Writing config to "%s": %j', CONFIG, config);
-    fs.writeFileSync(CONFIG, JSON.stringify(config, null, 2));
-}
+function resolvePullPaths(state, callback) {
+    debug('==> resolvePullPaths start');
 
+    if (state.allMapped === undefined) {
+        return vasync.forEachParallel({
+            inputs: state.toPushRaw,
+            func: function (f, cb) {
+                var file = path.relative(state.top, f);
 
-/*
- * Prints username@hostname
- */
-function getHost(host) {
-    var state = {};
-    loadConfig(state, function (err) {
+                fs.stat(f, function _afterStat(err, stat) {
+                    if (err && err.code !== 'ENOENT') {
+                        return cb(err);
+                    }
+
+                    if (stat && stat.isDirectory()) {
+                        return cb(new VError('Can\'t pull directory "%s": '
+                            + 'use --all-mapped to pull the files in it',
+                            file));
+                    }
+
+                    debug('Adding local path "%s"', file);
+                    state.toPush.push({ path: file, isDir: false });
+                    return cb(null);
+                });
+            }
+        }, function (err) {
+            return callback(err || null);
+        });
+    }
+
+    var dir = path.relative(state.top,
+        path.resolve(state.repoDir, state.allMapped)) || '.';
+    cp.execFile('git', [ 'ls-files', '-z', '--', dir ], { cwd: state.top },
+        function (err, stdout) {
         if (err) {
-            return printErr(err.message);
+            return callback(err);
+        }
+
+        stdout.split('\0').forEach(function (file) {
+            if (file !== ''
+                && match.bestMatch(state.remotePaths, file) !== null) {
+                state.toPush.push({ path: file, isDir: false });
+            }
+        });
+
+        if (state.toPush.length === 0) {
+            return callback(new VError(
+                'No files in "%s" are in the repo\'s paths', dir));
         }
 
-        console.log(state.config.defaultHost);
+        return callback(null);
     });
 }
 
 
 /*
- * Prints out the current repo (that will be used by pushit for its id)
+ * Gets the files with uncommitted changes (including untracked files) into
+ * state.modified, so that pulling doesn't overwrite them
  */
-function printRepo() {
-    var state = {};
+function getModifiedFromGit(state, callback) {
+    debug('==> getModifiedFromGit start');
 
-    getGitRepoRemote(state, function (err, res) {
+    cp.execFile('git', [ 'status', '--porcelain', '-z',
+        '--untracked-files=all' ], { cwd: state.top },
+        function (err, stdout) {
         if (err) {
-            return printErr(err.message);
+            return callback(err);
+        }
+
+        state.modified = {};
+        var entries = stdout.split('\0');
+        for (var e = 0; e < entries.length; e++) {
+            if (entries[e] === '') {
+                continue;
+            }
+
+            state.modified[entries[e].substr(3)] = 1;
+            // Renames and copies are followed by the original path
+            if (/[RC]/.test(entries[e].substr(0, 2))) {
+                e++;
+            }
         }
 
-        return console.log(state.repo);
+        debug('modified files: %j', Object.keys(state.modified));
+        return callback(null);
     });
 }
 
 
 /*
- * Pushes the specified files to the configured server
+ * Pulling copies remote files into the working tree, so it can only be
+ * done from one host
  */
-function push(opts, args) {
-    var state = {
-        pushAll: opts.all,
-        toPushRaw: args,
-        toPush: [],
-        toHost: opts.host,
-        varValues: {},
-        funcValues: {},
-        scpCommands: []
-    };
+function checkPullHost(state, callback) {
+    if (state.toHosts.length !== 1) {
+        return callback(new VError('Can only pull from one host (not %d)',
+            state.toHosts.length));
+    }
 
-    vasync.pipeline({
-        arg: state,
-        funcs: [
-            getGitRepoRemote,
-            loadConfig,
-            setToHost,
-            loadRepos,
-            validateRemoteRepo,
-            getGitTop,
-            getAllFromGit,
-            resolveLocalPaths,
-            determineVariableWork,
-            callFunctions,
-            expandVariables,
-            runScpCommands
-        ]
-    }, function (err, res) {
-        debug(util.inspect(state));
+    return callback(null);
+}
 
-        if (err) {
-            var errs = err.hasOwnProperty('ase_errors') ? err.ase_errors :
-                [err];
-            errs.forEach(function (e) {
-                printErr(e.message);
-            });
-            return;
+
+/*
+ * Splits the remote side of a path mapping into its targets, which are
+ * separated by commas (ignoring any commas inside variables and hooks)
+ */
+function splitTargets(remote) {
+    var inVar = false;
+    var targets = [ '' ];
+
+    for (var i = 0; i < remote.length; i++) {
+        var c = remote[i];
+        if (c === '%') {
+            inVar = !inVar;
         }
 
-        if (!DRYRUN) {
-            verbose(okStr('Push completed successfully.'));
+        if (c === ',' && !inVar) {
+            targets.push('');
+            continue;
         }
+
+        targets[targets.length - 1] += c;
+    }
+
+    return targets.map(function (t) {
+        return t.trim();
+    }).filter(function (t) {
+        return t !== '';
     });
 }
 
 
 /*
- * Main entry point
+ * Sets the location in a repo's config of the value that err is about, for
+ * reporting it: keys is the list of keys to the value in the repo's entry
+ * (see conf.problems()), and value is the value itself.  Returns err.
  */
-function main() {
-    var opts;
-    var parser = dashdash.createParser({ options: OPTS });
-
-    try {
-        opts = parser.parse(process.argv);
-    } catch (parseErr) {
-        printErr(parseErr.message);
-        process.exit(1);
-    }
+function setLocation(err, keys, value) {
+    err.keys = keys;
+    err.value = value;
+    return err;
+}
 
-    if (opts.help) {
-        return usage(parser);
-    }
 
-    if (opts.verbose) {
-        common.setVerbose(true);
-    }
+/*
+ * Works out what needs to be done to expand the variables in str: returns
+ * the variables it depends on (in the order they need to be expanded, most
+ * deeply nested first) and the functions that need to be called to fill
+ * them in.  Unknown variables and functions are added to errors, located
+ * at keys (the location of str in the repo, which is value) or at the
+ * variable that uses them.
+ */
+function findVarWork(state, repo, str, errors, keys, value) {
+    var seenVars = {};
+    var variables = conf.isObject(repo.variables) ? repo.variables : {};
+    var work = {
+        vars: findVars(str).filter(function (v) {
+            return !isWildcardVar(v);
+        }),
+        funcs: []
+    };
 
-    if (opts.debug) {
-        common.setDebug(true);
+    // from is the variable whose value uses err's variable, if any
+    function addError(err, from) {
+        errors.push(from === undefined ? setLocation(err, keys, value) :
+            setLocation(err, [ 'variables', from ], variables[from]));
     }
 
-    if (opts.dryrun) {
-        DRYRUN = true;
-    }
+    function processVar(pVar, origVar, from) {
+        if (seenVars.hasOwnProperty(pVar)) {
+            debug('  processVar: seen "%s", returning', pVar);
+            return;
+        }
+        debug('  processVar: "%s"', pVar);
+
+        state.varValues[pVar] = variables[pVar];
+        seenVars[pVar] = 1;
+
+        var func = funcRE.exec(pVar);
+        if (func) {
+            var params = func[1].split(/\s+/g);
+            debug('    function: "%s": args=%j', params[0],
+                params.slice(1));
+            if (!state.hooks.hasOwnProperty(params[0])
+                && !(repo.hooks || {}).hasOwnProperty(params[0])) {
+                debug('    function "%s" not found, returning', params[0]);
+                addError(new VError('Unknown hook "%s"', params[0]), from);
+                return;
+            }
 
-    debug('opts: %j', opts);
+            // Hooks paste their arguments into shell commands, so only
+            // allow characters that the shell doesn't treat specially
+            var unsafe = params.slice(1).filter(function (arg) {
+                return !common.isShellSafe(arg);
+            });
+            if (unsafe.length !== 0) {
+                addError(new VError('Hook "%s": argument "%s" can only '
+                    + 'contain letters, numbers and "_/.,:@%%+=-"',
+                    params[0], unsafe[0]), from);
+                return;
+            }
 
-    if (opts.hasOwnProperty('default')) {
-        return setHost(opts.default);
-    }
+            var funcObj = {
+                func: params[0],
+                args: params.slice(1),
+                varName: origVar ? origVar : pVar
+            };
+            debug('    function "%s": args=%j, varName=%s',
+                funcObj.func, funcObj.args, funcObj.varName);
+            work.funcs.unshift(funcObj);
 
-    if (opts.hasOwnProperty('show_default')) {
-        return getHost();
+            return true;
+        }
+
+        if (!variables.hasOwnProperty(pVar)) {
+            debug('    variable "%s" not found, returning', pVar);
+            addError(new VError('Unknown variable "%s"', pVar), from);
+            return;
+        }
+
+        debug('    variable "%s" found', pVar);
+        return true;
+    }
+
+    findVars(str).forEach(function (vName) {
+        debug('"%s": var="%s"', str, vName);
+        if (isWildcardVar(vName) || !processVar(vName)) {
+            return;
+        }
+
+        // The variables used by vName, and the ones that they use, each
+        // with the variable that uses it
+        function usedBy(from) {
+            return findVars(variables[from]).map(function (name) {
+                return { name: name, from: from };
+            });
+        }
+
+        var otherVars = usedBy(vName);
+        while (otherVars.length !== 0) {
+            var oVar = otherVars.shift();
+            debug('other var="%s"', oVar.name);
+            if (!processVar(oVar.name, vName, oVar.from)) {
+                continue;
+            }
+
+            work.vars.unshift(oVar.name);
+            var varVars = usedBy(oVar.name);
+            debug('  varVars=%j', varVars);
+            otherVars = otherVars.concat(varVars);
+        }
+    });
+
+    return work;
+}
+
+
+/*
+ * Returns errors for any variables that refer back to themselves, eg:
+ * a => %b%, b => %a%
+ */
+function findVarCycles(variables) {
+    var errors = [];
+    var reported = {};
+
+    function visit(name, chain) {
+        var start = chain.indexOf(name);
+        if (start !== -1) {
+            var cycle = chain.slice(start);
+            var key = cycle.slice().sort().join(' ');
+            if (!reported.hasOwnProperty(key)) {
+                reported[key] = 1;
+                errors.push(setLocation(new VError(
+                    'Variables form a cycle: %s',
+                    cycle.concat(name).join(' -> ')),
+                    [ 'variables', name ], variables[name]));
+            }
+            return;
+        }
+
+        if (!variables.hasOwnProperty(name)) {
+            return;
+        }
+
+        findVars(variables[name]).forEach(function (v) {
+            visit(v, chain.concat(name));
+        });
+    }
+
+    Object.keys(variables).forEach(function (name) {
+        visit(name, []);
+    });
+
+    return errors;
+}
+
+
+/*
+ * Converts a local path from the repos file into a path relative to the
+ * top of the git repo
+ */
+function repoRelative(state, local) {
+    return path.relative(state.top, path.join(state.top, local)) || '.';
+}
+
+
+/*
+ * Returns true if file (relative to the top of the git repo) is in the
+ * local path dir
+ */
+function inLocalPath(dir, file) {
+    return (dir === '.' || file === dir || file.indexOf(dir + '/') === 0);
+}
+
+
+/*
+ * Determine what needs to be done to satisfy each path (what variables
+ * are needed, what functions need to be called)
+ */
+function determineVariableWork(state, callback) {
+    debug('==> determineVariableWork start');
+
+    var repo = state.repos[state.repo];
+    // Keep checking after finding a cycle, so that all of the problems are
+    // reported at once (findVarWork() only visits each variable once, so
+    // cycles don't trip it up)
+    var errors = findVarCycles(conf.isObject(repo.variables) ?
+        repo.variables : {});
+    var paths = [];
+    var repoPaths = Array.isArray(repo.paths) ? repo.paths : [];
+
+    // Entries that aren't the right shape are skipped here: they're
+    // reported by conf.checkRepos() (and conf.checkRepoFile())
+    for (var p = 0; p < repoPaths.length; p++) {
+        // Paths are either strings or objects with the string in "path"
+        var entry = repoPaths[p];
+        var keys = conf.isObject(entry) ? [ 'paths', p, 'path' ] :
+            [ 'paths', p ];
+        var mapping = conf.isObject(entry) ? entry.path : entry;
+        var eq = (typeof (mapping) === 'string') ? mapping.indexOf('=') : -1;
+        if (eq === -1) {
+            continue;
+        }
+
+        var fields = [ mapping.substr(0, eq), mapping.substr(eq + 1) ];
+        var pathObj = {
+            attrs: null,
+            exclude: match.excluder(Array.isArray(entry.exclude) ?
+                entry.exclude : []),
+            local: repoRelative(state, fields[0]),
+            // Files in the local path are copied to each of these
+            targets: splitTargets(fields[1]).map(function (remote) {
+                var work = findVarWork(state, repo, remote, errors, keys,
+                    mapping);
+                return {
+                    remote: remote,
+                    vars: work.vars,
+                    funcs: work.funcs
+                };
+            })
+        };
+        pathObj.matcher = match.mapping(pathObj.local);
+
+        if (entry.mode || entry.owner || entry.group) {
+            pathObj.attrs = {
+                group: entry.group,
+                mode: entry.mode,
+                owner: entry.owner
+            };
+        }
+
+        pathObj.targets.forEach(function (target) {
+            findVars(target.remote).filter(isWildcardVar).forEach(
+                function (n) {
+                if (Number(n) < 1 || Number(n) > pathObj.matcher.wildcards) {
+                    errors.push(setLocation(new VError('Path "%s": "%%%s%%" '
+                        + 'doesn\'t match a wildcard in "%s"', mapping, n,
+                        fields[0]), keys, mapping));
+                }
+            });
+        });
+
+        debug('path: [%s=%s]: local="%s", targets=%j, exclude=%j',
+            fields[0], fields[1], pathObj.local, pathObj.targets,
+            pathObj.exclude.patterns);
+
+        paths.push(pathObj);
+    }
+
+    state.commands = {};
+    [ 'before', 'after' ].forEach(function (when) {
+        var cmds = Array.isArray(repo[when]) ? repo[when] : [];
+
+        state.commands[when] = [];
+        cmds.forEach(function (cmd, i) {
+            var keys = [ when, i ];
+            if (typeof (cmd) === 'string') {
+                cmd = { cmd: cmd };
+            } else if (conf.isObject(cmd)
+                && typeof (cmd.cmd) === 'string') {
+                keys.push('cmd');
+            } else {
+                return;
+            }
+
+            var cmdWork = findVarWork(state, repo, cmd.cmd, errors, keys,
+                cmd.cmd);
+            cmdWork.cmd = cmd.cmd;
+            cmdWork.paths = [].concat(cmd.paths || []).filter(function (l) {
+                return typeof (l) === 'string';
+            }).map(function (l) {
+                return repoRelative(state, l);
+            });
+
+            debug('%s command: "%s": vars="%j", paths=%j', when, cmdWork.cmd,
+                cmdWork.vars, cmdWork.paths);
+            state.commands[when].push(cmdWork);
+        });
+    });
+
+    if (errors.length != 0) {
+        // Several paths can use the same unknown variable, so only report
+        // each problem once
+        var seen = {};
+        return callback(new MultiError(errors.filter(function (e) {
+            if (seen.hasOwnProperty(e.message)) {
+                return false;
+            }
+
+            seen[e.message] = 1;
+            return true;
+        })));
+    }
+
+    state.exclude = match.excluder(Array.isArray(repo.exclude) ?
+        repo.exclude : []);
+    state.remotePaths = paths;
+    return callback(null);
+}
+
+
+/*
+ * Returns the exclude pattern that file (relative to the top of the git
+ * repo) is excluded by, or null if it isn't excluded.  found is file's
+ * match from match.bestMatch(): the mapping's own patterns are matched
+ * against the part of the path below the mapping.
+ */
+function excludedBy(state, found, file) {
+    var below = file.substr(found.prefix.length).replace(/^\//, '');
+
+    return state.exclude(file)
+        || (below === '' ? null : found.mapping.exclude(below));
+}
+
+
+/*
+ * Finds the most specific path mapping for each of the files being pushed,
+ * and drops any that are excluded (or that git picked, and that no mapping
+ * matches).  If there are exclude patterns, the directories being pushed
+ * are expanded into the files in them, so that anything excluded inside
+ * them isn't copied.
+ */
+function matchPaths(state, callback) {
+    debug('==> matchPaths start');
+
+    var errors = [];
+    // Files that git picked (rather than ones named on the command line)
+    // can be anywhere in the repo: only the ones in its paths are pushed
+    var fromGit = !!(state.pushAll || state.since || state.commit);
+    var expandDirs = (state.exclude.patterns.length !== 0
+        || state.remotePaths.some(function (p) {
+        return p.exclude.patterns.length !== 0;
+    }));
+    var toPush = [];
+
+    function addPath(localPath) {
+        var found = match.bestMatch(state.remotePaths, localPath.path);
+        if (!found && fromGit) {
+            verbose('Skipping %s (not in the repo\'s paths)', localPath.path);
+            return;
+        }
+
+        if (!found) {
+            errors.push(new VError(
+                'No config file paths matched for "%s"', localPath.path));
+            return;
+        }
+
+        var pattern = excludedBy(state, found, localPath.path);
+        if (pattern) {
+            verbose('Skipping %s (excluded by "%s")', localPath.path,
+                pattern);
+            return;
+        }
+
+        debug('  local path "%s": matched "%s" (%s), captures=%j',
+            localPath.path, found.mapping.local, found.prefix,
+            found.captures);
+        localPath.captures = found.captures;
+        localPath.matched = found.prefix;
+        localPath.matchingPath = found.mapping;
+
+        if (!expandDirs || !localPath.isDir || localPath.deleted) {
+            toPush.push(localPath);
+            return;
+        }
+
+        // Files can be removed while we're looking at them (eg: by an
+        // editor saving), so skip any that have gone
+        var names;
+        try {
+            names = fs.readdirSync(path.join(state.top, localPath.path));
+        } catch (readErr) {
+            if (readErr.code !== 'ENOENT') {
+                errors.push(readErr);
+            }
+            return;
+        }
+
+        names.forEach(function (f) {
+            if (f === '.git') {
+                return;
+            }
+
+            var file = path.join(localPath.path, f);
+            var stat;
+            try {
+                stat = fs.lstatSync(path.join(state.top, file));
+            } catch (statErr) {
+                if (statErr.code !== 'ENOENT') {
+                    errors.push(statErr);
+                }
+                return;
+            }
+
+            addPath({ path: file, isDir: stat.isDirectory() });
+        });
+    }
+
+    state.toPush.forEach(addPath);
+
+    if (errors.length !== 0) {
+        return callback(new MultiError(errors));
+    }
+
+    if (toPush.length === 0 && state.toPush.length !== 0) {
+        return callback(new VError('No files to push: all of them are '
+            + (fromGit ? 'excluded or not in the repo\'s paths' :
+            'excluded')));
+    }
+
+    state.toPush = toPush;
+    return callback(null);
+}
+
+
+/*
+ * Picks which of the repo's before and after commands to run for the files
+ * being pushed: after commands with "paths" are only run if one of the
+ * files being pushed is in one of those paths
+ */
+function selectCommands(state, callback) {
+    debug('==> selectCommands start');
+
+    state.toRun = {
+        before: state.commands.before,
+        after: state.commands.after.filter(function (cmd) {
+            if (cmd.paths.length === 0) {
+                return true;
+            }
+
+            return state.toPush.some(function (localPath) {
+                return cmd.paths.some(function (dir) {
+                    return inLocalPath(dir, localPath.path);
+                });
+            });
+        })
+    };
+
+    debug('commands to run: before=%j, after=%j',
+        state.toRun.before.map(function (c) { return c.cmd; }),
+        state.toRun.after.map(function (c) { return c.cmd; }));
+    return callback(null);
+}
+
+
+/*
+ * Calls any functions needed to fill variable values
+ */
+function callFunctions(state, callback) {
+    debug('==> callFunctions start');
+
+    var matchingPaths = [];
+    var seenFuncs = {};
+
+    function addFuncs(funcs) {
+        funcs.forEach(function (f) {
+            // Only call each function once, even if several paths need it
+            var key = funcVarName(f);
+            if (!seenFuncs.hasOwnProperty(key)) {
+                seenFuncs[key] = 1;
+                matchingPaths.push(f);
+            }
+        });
+    }
+
+    state.toPush.forEach(function (localPath) {
+        pathTargets(localPath).forEach(function (target) {
+            addFuncs(target.funcs);
+        });
+    });
+
+    state.toRun.before.concat(state.toRun.after).forEach(function (cmd) {
+        addFuncs(cmd.funcs);
+    });
+
+    // First, go through all of the needed functions to get data
+    vasync.forEachParallel({
+        inputs: matchingPaths,
+        func: function (curFunc, cb) {
+            var funcName = curFunc.func;
+            var varName = funcVarName(curFunc);
+
+            if (state.funcValues.hasOwnProperty(varName)) {
+                debug('func "%s" (args=%j): already ran, returing',
+                    funcName, curFunc.args);
+                return cb(null);
+            }
+
+            function hookHandler(e, r) {
+                if (e) {
+                    return cb(new VError('Function "%s" failed: %s',
+                        funcName, e.message));
+                }
+                debug('function "%s" (args=%j) returned "%s"',
+                    funcName, curFunc.args, r);
+
+                state.freshFuncs[varName] = 1;
+                state.funcValues[varName] = r;
+                state.varValues[varName] = r;
+
+                return cb(null);
+            }
+
+            state.hooks[funcName].apply(this,
+                [state].concat(curFunc.args).concat(hookHandler));
+        }
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        debug(util.inspect(state));
+        return callback(null);
+    });
+}
+
+
+/*
+ * Expands the variables in str, using the values in state.varValues.  vars
+ * is the list of variables that str depends on, as returned by
+ * findVarWork().
+ */
+function expandString(state, str, vars) {
+    // Expand into a copy of the values, so that state.varValues can be
+    // expanded again if a hook value changes
+    var values = {};
+
+    vars.forEach(function (varName) {
+        var value = state.varValues[varName];
+        debug('  var="%s"', varName);
+
+        findVars(value).forEach(function (expName) {
+            var expValue = values.hasOwnProperty(expName) ?
+                values[expName] : state.varValues[expName];
+            debug('    toExpand: "%s": "%s"', expName, value);
+            debug('    "%s"=>"%s"', fmt('%%%s%', expName), expValue);
+            value = value.split(fmt('%%%s%', expName)).join(expValue);
+        });
+
+        values[varName] = value;
+    });
+
+    findVars(str).forEach(function (varName) {
+        str = str.split(fmt('%%%s%', varName)).join(values[varName]);
+    });
+
+    return str;
+}
+
+
+/*
+ * Returns the scp or rsync command (as an array of arguments) that copies
+ * local to dest on the host, or null if there's nothing to copy (an empty
+ * directory with scp, which only needs the directory created).  Throws if
+ * local is a directory that can't be read.
+ */
+function copyCommand(state, local, isDir, dest) {
+    if (state.transport === 'rsync') {
+        // With trailing slashes on both, rsync syncs the contents of a
+        // directory into dest rather than into a new directory under it.
+        // This uses -rlpt rather than -a so that files aren't chowned to
+        // local uids on the host, and --protect-args so that the remote
+        // shell doesn't split or expand dest.
+        return [ 'rsync', '-rlptz', '--protect-args' ].concat(
+            (isDir && state.mirror) ? [ '--delete' ] : [],
+            state.sshArgs.length === 0 ? [] : [ '-e',
+                [ 'ssh' ].concat(state.sshArgs).map(shellQuote).join(' ') ],
+            local + (isDir ? '/' : ''),
+            state.toHost + ':' + dest + (isDir ? '/' : ''));
+    }
+
+    if (!isDir) {
+        return [ 'scp' ].concat(state.scpArgs, local,
+            sshConf.scpTarget(state.toHost, dest));
+    }
+
+    // scp -r of the directory itself would copy it to dest/<its name> if
+    // dest exists, and its name on the host can be different.  Instead,
+    // copy what's in it into dest, which mkdirCmd() creates first.
+    var sources = fs.readdirSync(local).sort().map(function (f) {
+        return path.join(local, f);
+    });
+    if (sources.length === 0) {
+        return null;
+    }
+
+    return [ 'scp' ].concat(state.scpArgs, '-r', sources,
+        sshConf.scpTarget(state.toHost, dest));
+}
+
+
+/*
+ * Returns the remote targets that localPath needs to be copied to: all of
+ * the ones for its matching path, unless it's being retried for only some
+ * of them
+ */
+function pathTargets(localPath) {
+    return localPath.targets || localPath.matchingPath.targets;
+}
+
+
+/*
+ * Returns the longest of the values of the hooks that target uses that's a
+ * directory containing dest (eg: a zone's root), or null if there isn't
+ * one.  Directories are only created on the host below this root, so that
+ * if the value is out of date, the copy fails (and is retried with the
+ * hooks re-run) rather than creating the old path.
+ */
+function hookRoot(state, target, dest) {
+    var root = null;
+
+    target.funcs.forEach(function (func) {
+        var val = state.funcValues[funcVarName(func)];
+        if (typeof (val) !== 'string' || val[0] !== '/') {
+            return;
+        }
+
+        val = val.replace(/\/+$/, '');
+        if (val !== '' && (dest === val || dest.indexOf(val + '/') === 0)
+            && (!root || val.length > root.length)) {
+            root = val;
+        }
+    });
+
+    return root;
+}
+
+
+/*
+ * Adds the copies (or deletes) of localPath to each of its remote targets
+ * to state.copies (or state.deletes).  Returns an error if the variables in
+ * a target couldn't be expanded.
+ */
+function expandTargets(state, localPath) {
+    var local = path.join(state.top, localPath.path);
+
+    // Trim off the part of the local path that the mapping matched, eg: if
+    // local src/foo maps to /usr/src/bar, trim src/foo from
+    // src/foo/blah.js
+    var trimmedRemote = localPath.path.substr(localPath.matched.length)
+        .replace(/^\//, '');
+
+    var targets = pathTargets(localPath);
+    for (var t in targets) {
+        var target = targets[t];
+
+        // Fill in the wildcards that the mapping matched, then expand
+        // into a copy, since the target is shared between hosts
+        var remoteDir = expandString(state,
+            target.remote.replace(/%(\d+)%/g, function (_, n) {
+                return localPath.captures[n - 1];
+            }), target.vars);
+        if (remoteDir.indexOf('%') !== -1) {
+            return new VError('Found %%: "%s" => "%s"', localPath.path,
+                remoteDir);
+        }
+
+        var dest = trimmedRemote ?
+            fmt('%s/%s', remoteDir, trimmedRemote) : remoteDir;
+
+        debug('  dest=%s, trimmed=%s, localPath=%j, target=%j',
+            dest, trimmedRemote, localPath.path, target);
+
+        var entry = {
+            attrs: localPath.matchingPath.attrs,
+            dest: dest,
+            isDir: localPath.isDir,
+            localPath: localPath,
+            root: hookRoot(state, target, dest),
+            target: target
+        };
+
+        if (!localPath.deleted) {
+            try {
+                entry.argv = copyCommand(state, local, localPath.isDir,
+                    dest);
+            } catch (readErr) {
+                return new VError(readErr, 'Could not read "%s"',
+                    localPath.path);
+            }
+            entry.cmd = entry.argv ?
+                entry.argv.map(shellQuote).join(' ') : null;
+            entry.local = local;
+            debug('  copy command: %s', entry.cmd);
+        }
+
+        // Files being retried have already been reported
+        if (state.retried) {
+            recordFile(state, 'resolved', entry);
+        } else {
+            emitFile(state, 'resolved', entry);
+        }
+
+        if (localPath.deleted) {
+            debug('  delete: %s', dest);
+            state.deletes.push(entry);
+        } else {
+            state.copies.push(entry);
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Expands variables in remote paths, resulting in a set of copies (with
+ * their scp or rsync commands) stored in state.copies, and a set of remote
+ * files to delete stored in state.deletes.  Also expands the variables in
+ * the before and after commands, storing them in state.remoteCommands.
+ */
+function expandVariables(state, callback) {
+    debug('==> expandVariables start');
+
+    state.copies = [];
+    state.deletes = [];
+
+    state.remoteCommands = {};
+    for (var when in state.toRun) {
+        state.remoteCommands[when] = state.toRun[when].map(function (cmd) {
+            return expandString(state, cmd.cmd, cmd.vars);
+        });
+    }
+    debug('  remote commands: %j', state.remoteCommands);
+
+    for (var lp in state.toPush) {
+        var err = expandTargets(state, state.toPush[lp]);
+        if (err) {
+            return callback(err);
+        }
+    }
+
+    return callback(null);
+}
+
+
+/*
+ * Saves the files on the host that are about to be overwritten or deleted
+ * to the backup directory for this push, and records which files are going
+ * to be created, so that the push can be undone
+ */
+function backupFiles(state, callback) {
+    debug('==> backupFiles start');
+
+    if (!state.backup) {
+        debug('  --no-backup specified: not backing up');
+        return callback(null);
+    }
+
+    // When retrying failed copies, don't overwrite the first backup
+    var tarName = state.retried ? 'retry.tar' : 'files.tar';
+    var cmd = backup.backupCmd(state.backup.dir, tarName,
+        state.copies.concat(state.deletes).map(function (c) {
+            return c.dest;
+        }), state.copies.map(function (c) {
+            return c.dest;
+        }));
+
+    if (!cmd) {
+        return callback(null);
+    }
+
+    if (state.dryrun) {
+        dryrun(state, run.sshArgv(state, cmd));
+        return callback(null);
+    }
+
+    run.ssh(state, cmd, 'transfer', function (err, res) {
+        if (err) {
+            return callback(new VError(err, 'Backing up files failed'));
+        }
+
+        var files = backup.parseBackup(res.stdout);
+        debug('backed up to %s: %j', state.backup.dir, files);
+
+        if (files.saved.length !== 0) {
+            state.backup.tars.push(tarName);
+        }
+        state.backup.created = state.backup.created.concat(files.created);
+        state.backup.createdDirs = state.backup.createdDirs.concat(
+            files.createdDirs);
+        state.backup.saved = state.backup.saved.concat(files.saved);
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * Copies the files to the host, using the transport in state.transport.
+ * With tar, their directories are created and their attributes are set in
+ * the same ssh command that unpacks them.  scp and rsync can't run
+ * commands on the host, so that's done with one ssh command before the
+ * copies and one after.
+ */
+function copyFiles(state, callback) {
+    debug('==> copyFiles start: transport=%s', state.transport);
+
+    if (state.copies.length === 0) {
+        return callback(null);
+    }
+
+    if (state.transport === 'tar') {
+        return runTarCopy(state, callback);
+    }
+
+    // If some of the copies are retried, state.copies is replaced by the
+    // retries (which set their own attributes)
+    var copies = state.copies;
+
+    vasync.pipeline({
+        arg: state,
+        funcs: [
+            function _mkdirs(_, cb) {
+                runCopySetup(state, attrs.mkdirCmd(state.copies),
+                    'Creating directories', cb);
+            },
+            runCopyCommands,
+            function _setAttrs(_, cb) {
+                runCopySetup(state, attrs.attrsCmd(copies.filter(
+                    function (copy) {
+                    return copy.copied || state.dryrun;
+                })), 'Setting file modes and owners', cb);
+            }
+        ]
+    }, function (err) {
+        return callback(err || null);
+    });
+}
+
+
+/*
+ * Runs cmd (if it's not null) on the host, for the directories and
+ * attributes of the files being copied.  desc describes it, for errors.
+ */
+function runCopySetup(state, cmd, desc, callback) {
+    if (!cmd) {
+        return callback(null);
+    }
+
+    if (state.dryrun) {
+        dryrun(state, run.sshArgv(state, cmd));
+        return callback(null);
+    }
+
+    run.ssh(state, cmd, 'transfer', function (err) {
+        if (err) {
+            return callback(new VError(err, '%s failed', desc));
+        }
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * Runs the scp or rsync command for each copy, at most state.concurrency
+ * at a time
+ */
+function runCopyCommands(state, callback) {
+    debug('==> runCopyCommands start');
+    var failed = [];
+    var queue = vasync.queue(function _runCopy(copy, cb) {
+        // Empty directories only need to be created, which mkdirCmd() has
+        // already done
+        if (!copy.argv && !state.dryrun) {
+            copy.copied = true;
+            state.copied++;
+            emitFile(state, 'done', copy);
+            return cb(null);
+        }
+
+        if (!copy.argv) {
+            return cb(null);
+        }
+
+        if (state.dryrun) {
+            dryrun(state, copy.argv);
+            return cb(null);
+        }
+
+        verbose('# %s', copy.cmd);
+        emitFile(state, 'started', copy);
+        run.execFile(copy.argv[0], copy.argv.slice(1),
+            run.options(state, 'transfer'), function (err) {
+            if (err) {
+                failed.push({ copy: copy, err: err });
+                return cb(null);
+            }
+
+            copy.copied = true;
+            state.copied++;
+            emitFile(state, 'done', copy);
+            return cb(null);
+        });
+    }, state.concurrency);
+
+    queue.drain = function () {
+        if (failed.length !== 0) {
+            return retryFailedCopies(state, failed, callback);
+        }
+
+        return callback(null);
+    };
+
+    queue.push(state.copies);
+}
+
+
+/*
+ * Sends all of the files to the host in one tar stream, over a single ssh
+ * connection
+ */
+function runTarCopy(state, callback) {
+    debug('==> runTarCopy start');
+
+    var entries;
+    // tar creates any directories that it needs, so check that the roots
+    // exist first
+    var remoteCmd = [
+        attrs.rootsCmd(state.copies),
+        attrs.mkdirCmd(state.copies),
+        'cd / && tar xof -',
+        attrs.attrsCmd(state.copies)
+    ].filter(function (cmd) {
+        return cmd !== null;
+    }).join(' && ');
+
+    try {
+        entries = tar.tarEntries(state.copies.map(function (copy) {
+            return { local: copy.local, remote: copy.dest };
+        }));
+    } catch (entryErr) {
+        return callback(entryErr);
+    }
+
+    // pushit writes the tar stream to ssh itself, so list what's in it
+    entries.forEach(function (entry) {
+        verbose('# tar: %s => /%s', entry.local, entry.name);
+    });
+
+    if (state.dryrun) {
+        dryrun(state, run.sshArgv(state, remoteCmd));
+        return callback(null);
+    }
+
+    verbose('# %s (%d files)', run.sshArgv(state, remoteCmd).map(
+        shellQuote).join(' '), entries.length);
+    state.copies.forEach(function (copy) {
+        emitFile(state, 'started', copy);
+    });
+
+    var opts = run.options(state, 'transfer');
+    run.retry('ssh to ' + state.toHost, opts.retries, function _send(cb) {
+        sendTar(state, entries, remoteCmd, opts.timeout, cb);
+    }, function (err) {
+        if (err) {
+            // We can't tell which files made it, so treat them all as failed
+            return retryFailedCopies(state, state.copies.map(function (copy) {
+                return { copy: copy, err: err };
+            }), callback);
+        }
+
+        state.copied += state.copies.length;
+        state.copies.forEach(function (copy) {
+            emitFile(state, 'done', copy);
+        });
+        return callback(null);
+    });
+}
+
+
+/*
+ * Streams a tar archive of entries to remoteCmd on the host, giving up
+ * after timeout seconds.  Errors from ssh that may go away if it's run
+ * again have their "transient" property set.
+ */
+function sendTar(state, entries, remoteCmd, timeout, callback) {
+    var child = cp.spawn('ssh',
+        state.sshArgs.concat(state.toHost, remoteCmd));
+    var cmd = fmt('ssh %s %s', state.toHost, shellQuote(remoteCmd));
+    var stderr = '';
+    var tarErr;
+    var timer = run.killAfter(child, timeout);
+
+    child.stderr.on('data', function (data) {
+        stderr += data.toString();
+    });
+
+    // If ssh exits early, writing to it fails: report the ssh error instead
+    child.stdin.on('error', function (err) {
+        debug('error writing to ssh: %s', err.message);
+    });
+
+    tar.writeTar(entries, child.stdin, function (err) {
+        tarErr = err;
+    });
+
+    child.on('close', function (code) {
+        if (tarErr) {
+            return callback(tarErr);
+        }
+
+        if (timer.timedOut) {
+            return callback(run.timeoutError(cmd, timeout));
+        }
+
+        if (code !== 0) {
+            var err = new VError('Command failed: %s: %s', cmd,
+                stderr.trim());
+            err.transient = run.isTransient(stderr);
+            return callback(err);
+        }
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * If any of the failed copies used hook values from the cache or an earlier
+ * push, those values may be out of date (eg: the zone has been
+ * reprovisioned, and now has a different zone root).  Drop them, re-run the
+ * hooks and try the failed copies one more time.
+ */
+function retryFailedCopies(state, failed, callback) {
+    debug('==> retryFailedCopies start');
+
+    var errs = failed.map(function (f) { return f.err; });
+    if (state.transport === 'tar') {
+        // All of the copies failed with the same error
+        errs = errs.slice(0, 1);
+    }
+    var stale = {};
+
+    if (!state.retried) {
+        failed.forEach(function (f) {
+            f.copy.target.funcs.forEach(function (func) {
+                var key = funcVarName(func);
+                if (!state.freshFuncs.hasOwnProperty(key)) {
+                    stale[key] = 1;
+                }
+            });
+        });
+    }
+
+    if (Object.keys(stale).length === 0) {
+        failed.forEach(function (f) {
+            emitFile(state, 'failed', f.copy, f.err);
+        });
+        return callback(new MultiError(errs));
+    }
+
+    Object.keys(stale).forEach(function (key) {
+        verbose('Copy failed: dropping cached value for %s ("%s")',
+            key, state.funcValues[key]);
+        delete state.funcValues[key];
+        delete state.varValues[key];
+    });
+
+    // Only retry the targets that failed, and the deletes (which haven't
+    // been done yet)
+    function retryPath(localPath, target) {
+        var retry = { targets: [ target ] };
+        for (var k in localPath) {
+            if (k !== 'targets') {
+                retry[k] = localPath[k];
+            }
+        }
+
+        return retry;
+    }
+
+    // The retries may go to different places, now that the hooks have been
+    // re-run
+    failed.map(function (f) {
+        return f.copy;
+    }).concat(state.deletes).forEach(function (entry) {
+        delete state.fileStatus[fileKey(entry)];
+    });
+
+    state.retried = true;
+    state.toPush = failed.map(function (f) {
+        return retryPath(f.copy.localPath, f.copy.target);
+    }).concat(state.deletes.map(function (d) {
+        return retryPath(d.localPath, d.target);
+    }));
+
+    vasync.pipeline({
+        arg: state,
+        funcs: withKinds([
+            callFunctions,
+            expandVariables,
+            backupFiles,
+            copyFiles
+        ])
+    }, callback);
+}
+
+
+/*
+ * Deletes the files in state.deletes on the host, with one ssh command
+ */
+function deleteFiles(state, callback) {
+    debug('==> deleteFiles start');
+
+    if (state.deletes.length === 0) {
+        return callback(null);
+    }
+
+    var rmCmd = 'rm -f -- ' + state.deletes.map(function (d) {
+        return shellQuote(d.dest);
+    }).join(' ');
+
+    if (state.dryrun) {
+        dryrun(state, run.sshArgv(state, rmCmd));
+        return callback(null);
+    }
+
+    state.deletes.forEach(function (d) {
+        emitFile(state, 'started', d);
+    });
+
+    run.ssh(state, rmCmd, 'transfer', function (err) {
+        state.deletes.forEach(function (d) {
+            emitFile(state, err ? 'failed' : 'done', d, err);
+        });
+
+        if (err) {
+            return callback(new VError(err, 'Deleting files failed'));
+        }
+
+        state.deleted += state.deletes.length;
+        return callback(null);
+    });
+}
+
+
+/*
+ * Stores a unified diff of file on the host against the local copy in
+ * file.diff.  If the file is no longer on the host, the diff shows it all
+ * as added; if it couldn't be read, that's a transfer error.
+ */
+function unifiedDiff(state, file, callback) {
+    var catCmd = 'cd / && cat ' + shellQuote(file.name);
+    var argv = run.sshArgv(state, catCmd);
+    var ssh = cp.spawn(argv[0], argv.slice(1));
+    var diff = cp.spawn('diff', [ '-u',
+        '-L', fmt('%s:%s', state.toHost, file.remote),
+        '-L', file.path,
+        '-', file.local ]);
+    var codes = {};
+    var done = false;
+    var out = '';
+    var stderr = '';
+    var timeout = run.options(state, 'transfer').timeout;
+    var timer = run.killAfter(ssh, timeout);
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        if (err) {
+            ssh.kill();
+            diff.kill();
+            return callback(setKind(new VError(err,
+                'Could not diff "%s" on %s', file.remote, state.toHost),
+                'transfer'));
+        }
+
+        file.diff = out;
+        return callback(null);
+    }
+
+    // Once both have exited, check how they went
+    function onClose(name, code) {
+        codes[name] = code;
+        if (!codes.hasOwnProperty('ssh') || !codes.hasOwnProperty('diff')) {
+            return;
+        }
+
+        if (timer.timedOut) {
+            return finish(run.timeoutError(argv.map(shellQuote).join(' '),
+                timeout));
+        }
+
+        // If the file has gone from the host since it was checksummed,
+        // the diff shows all of it as new.  Anything else means we don't
+        // have its contents to diff against.
+        if (codes.ssh !== 0 && !(codes.ssh === 1
+            && /No such file/.test(stderr))) {
+            return finish(new VError('Command failed: %s: %s',
+                argv.map(shellQuote).join(' '), stderr.trim()));
+        }
+
+        // diff exits with 1 if the files differ, and 2 if there's a problem
+        if (codes.diff > 1) {
+            return finish(new VError('diff exited with status %d',
+                codes.diff));
+        }
+
+        return finish(null);
+    }
+
+    verbose('# %s | diff -u - %s', argv.map(shellQuote).join(' '),
+        shellQuote(file.local));
+
+    ssh.on('error', finish);
+    diff.on('error', finish);
+    // If diff exits early, writing to it fails: report how diff exited
+    diff.stdin.on('error', function (err) {
+        debug('error writing to diff: %s', err.message);
+    });
+
+    ssh.stderr.on('data', function (data) {
+        stderr += data.toString();
+    });
+    ssh.stdout.pipe(diff.stdin);
+    diff.stdout.on('data', function (data) {
+        out += data.toString();
+    });
+
+    ssh.on('close', onClose.bind(null, 'ssh'));
+    diff.on('close', onClose.bind(null, 'diff'));
+}
+
+
+/*
+ * Sets file.status by comparing the local file with the checksum and size
+ * of the one on the host (remote), adding a unified diff if they're
+ * different and --unified was specified
+ */
+function compareFile(state, file, remote, callback) {
+    if (!remote) {
+        file.status = 'missing';
+        return callback(null);
+    }
+
+    fs.readFile(file.local, function (err, data) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (remote.size === data.length
+            && remote.sum === compare.cksum(data)) {
+            file.status = 'identical';
+            return callback(null);
+        }
+
+        file.status = 'different';
+        if (!state.unified) {
+            return callback(null);
+        }
+
+        return unifiedDiff(state, file, callback);
+    });
+}
+
+
+/*
+ * Compares the files to be copied with the ones on the host, by checksumming
+ * them all over one ssh connection.  The results are stored in
+ * state.report: each file there has a status of "identical", "different"
+ * or "missing" (on the host).
+ */
+function compareFiles(state, callback) {
+    debug('==> compareFiles start');
+
+    var entries;
+    state.report = [];
+
+    try {
+        entries = tar.tarEntries(state.copies.map(function (copy) {
+            return { local: copy.local, remote: copy.dest };
+        }));
+    } catch (entryErr) {
+        return callback(entryErr);
+    }
+
+    var files = entries.filter(function (e) {
+        return !e.isDir;
+    }).map(function (e) {
+        return {
+            local: e.local,
+            name: e.name,
+            path: path.relative(state.top, e.local),
+            remote: '/' + e.name
+        };
+    });
+
+    if (files.length === 0) {
+        return callback(null);
+    }
+
+    // If a file is copied to more than one place, show where each is
+    var counts = {};
+    files.forEach(function (f) {
+        counts[f.local] = (counts[f.local] || 0) + 1;
+    });
+    files.forEach(function (f) {
+        f.label = counts[f.local] > 1 ?
+            fmt('%s => %s', f.path, f.remote) : f.path;
+    });
+
+    var cmd = compare.cksumCmd(files.map(function (f) {
+        return f.name;
+    }));
+
+    if (state.dryrun) {
+        dryrun(state, run.sshArgv(state, cmd));
+        return callback(null);
+    }
+
+    run.ssh(state, cmd, 'transfer', function (err, res) {
+        if (err) {
+            return callback(new VError(err, 'Checksumming files failed'));
+        }
+
+        var sums = compare.parseCksums(res.stdout);
+
+        vasync.pipeline({
+            funcs: files.map(function (file) {
+                return function _compare(_, cb) {
+                    state.report.push(file);
+                    compareFile(state, file, sums[file.name], cb);
+                };
+            })
+        }, function (cmpErr) {
+            return callback(cmpErr);
+        });
+    });
+}
+
+
+/*
+ * Fetches a file from the host, and either keeps its contents in
+ * file.data (for show) or writes it over the local file, setting
+ * file.status to "pulled", "identical", "missing" (on the host) or
+ * "modified" (the local file has uncommitted changes, so it was left
+ * alone)
+ */
+function pullFile(state, file, callback) {
+    var argv = run.sshArgv(state, 'cat -- ' + shellQuote(file.remote));
+
+    if (state.dryrun) {
+        dryrun(state, argv);
+        file.status = 'dryrun';
+        return callback(null);
+    }
+
+    var opts = run.options(state, 'transfer');
+    opts.encoding = 'buffer';
+    opts.maxBuffer = Infinity;
+
+    verbose('# %s', argv.map(shellQuote).join(' '));
+    run.execFile(argv[0], argv.slice(1), opts,
+        function (err, stdout, stderr) {
+        if (err && /No such file/.test(stderr.toString())) {
+            file.status = 'missing';
+            return callback(null);
+        }
+
+        if (err && err.timedOut) {
+            return callback(new VError(err, 'Could not fetch "%s" from %s',
+                file.remote, state.toHost));
+        }
+
+        if (err) {
+            return callback(new VError('Could not fetch "%s" from %s: %s',
+                file.remote, state.toHost, stderr.toString().trim()));
+        }
+
+        fs.readFile(file.local, function (readErr, data) {
+            if (readErr && readErr.code !== 'ENOENT') {
+                return callback(readErr);
+            }
+
+            if (data && data.equals(stdout)) {
+                file.status = 'identical';
+                return callback(null);
+            }
+
+            if (state.show) {
+                file.data = stdout;
+                file.status = data ? 'different' : 'new';
+                return callback(null);
+            }
+
+            if (data && state.modified.hasOwnProperty(file.path)
+                && !state.force) {
+                file.status = 'modified';
+                return callback(null);
+            }
+
+            fs.mkdir(path.dirname(file.local), { recursive: true },
+                function (mkdirErr) {
+                if (mkdirErr) {
+                    return callback(mkdirErr);
+                }
+
+                fs.writeFile(file.local, stdout, function (writeErr) {
+                    if (writeErr) {
+                        return callback(writeErr);
+                    }
+
+                    state.copied++;
+                    file.status = 'pulled';
+                    return callback(null);
+                });
+            });
+        });
+    });
+}
+
+
+/*
+ * Pulls each file from where it would be pushed to on the host (its first
+ * remote path, if its mapping has more than one), at most
+ * state.concurrency at a time.  The results are stored in state.report.
+ */
+function pullFiles(state, callback) {
+    debug('==> pullFiles start');
+
+    var errors = [];
+    var seen = {};
+    state.report = [];
+
+    state.copies.forEach(function (copy) {
+        if (seen.hasOwnProperty(copy.local)) {
+            verbose('Not pulling "%s" from %s: already pulling it from %s',
+                copy.localPath.path, copy.dest, seen[copy.local]);
+            return;
+        }
+
+        seen[copy.local] = copy.dest;
+        state.report.push({
+            label: fmt('%s <= %s', copy.localPath.path, copy.dest),
+            local: copy.local,
+            path: copy.localPath.path,
+            remote: copy.dest
+        });
+    });
+
+    var queue = vasync.queue(function _pull(file, cb) {
+        pullFile(state, file, function (err) {
+            if (err) {
+                errors.push(setKind(err, 'transfer'));
+            }
+
+            return cb(null);
+        });
+    }, state.concurrency);
+
+    queue.drain = function () {
+        var modified = state.report.filter(function (f) {
+            return f.status === 'modified';
+        });
+
+        if (modified.length !== 0) {
+            errors.push(setKind(new VError('Not overwriting %d file(s) with '
+                + 'local changes: use --force to overwrite them',
+                modified.length), 'modified'));
+        }
+
+        if (errors.length === 0) {
+            return callback(null);
+        }
+
+        // Fetching files failing is reported ahead of files not being
+        // overwritten
+        return callback(setKind(new MultiError(errors),
+            common.errorKind(errors[0])));
+    };
+
+    if (state.report.length === 0) {
+        return callback(null);
+    }
+
+    queue.push(state.report);
+}
+
+
+/*
+ * Runs the expanded commands in state.remoteCommands[when] on the host, one
+ * after the other
+ */
+function runRemoteCommands(state, when, callback) {
+    debug('==> runRemoteCommands start: %s', when);
+
+    vasync.pipeline({
+        funcs: state.remoteCommands[when].map(function (cmd) {
+            return function _runRemote(_, cb) {
+                if (state.dryrun) {
+                    dryrun(state, run.sshArgv(state, cmd));
+                    return cb(null);
+                }
+
+                run.ssh(state, cmd, 'command', function (err, res) {
+                    if (err) {
+                        return cb(new VError('%s command "%s" failed: %s',
+                            when, cmd, err.message));
+                    }
+
+                    if (res.stdout) {
+                        verbose(res.stdout.trimRight());
+                    }
+
+                    return cb(null);
+                });
+            };
+        })
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return callback(null);
+    });
+}
+
+
+/*
+ * Runs the repo's before commands on the host.  If one fails, the push
+ * to that host is stopped.
+ */
+function runBeforeCommands(state, callback) {
+    return runRemoteCommands(state, 'before', callback);
+}
+
+
+/*
+ * Runs the repo's after commands on the host, once the files have been
+ * copied
+ */
+function runAfterCommands(state, callback) {
+    return runRemoteCommands(state, 'after', callback);
+}
+
+
+/*
+ * Sets up the per-host hook values for host in state.hosts, starting with
+ * any values cached by earlier runs
+ */
+function initHost(state, host) {
+    var hostInfo = state.hosts[host] = {
+        funcValues: {},
+        varValues: {}
+    };
+    var cached = state.cache[host] || {};
+
+    for (var v in state.varValues) {
+        hostInfo.varValues[v] = state.varValues[v];
+    }
+
+    for (var key in cached) {
+        debug('%s: cached value for %s: "%s"', host, key, cached[key]);
+        hostInfo.funcValues[key] = cached[key];
+        hostInfo.varValues[key] = cached[key];
+    }
+}
+
+
+/*
+ * Returns the outcome of the push to a host for each file: its status is
+ * "pushed", "deleted", "failed" (with the reason in "error"), or "skipped"
+ * if the push to the host failed before it got to the file ("dryrun" for
+ * dry runs)
+ */
+function fileResults(state, hostState, err) {
+    var files = [];
+    var seen = {};
+    var why = err ? errorList(err).map(function (e) {
+        return e.message;
+    }).join('\n') : null;
+
+    for (var key in hostState.fileStatus) {
+        files.push(hostState.fileStatus[key]);
+        seen[hostState.fileStatus[key].path] = true;
+    }
+
+    // Files that failed before their destinations were worked out
+    state.toPush.forEach(function (f) {
+        if (err && !seen[f.path]) {
+            files.push({
+                deleted: !!f.deleted,
+                dest: null,
+                error: null,
+                mapping: f.matchingPath ? f.matchingPath.local : null,
+                path: f.path,
+                status: 'resolved'
+            });
+        }
+    });
+
+    files.forEach(function (f) {
+        if (f.status === 'resolved' || f.status === 'started') {
+            f.status = state.dryrun ? 'dryrun' : 'skipped';
+            f.error = state.dryrun ? null : why;
+        }
+    });
+
+    return files;
+}
+
+
+/*
+ * Runs the host-specific part of the pipeline (hooks, variable expansion
+ * and copying, or the functions in state.hostFuncs if set) for each host in
+ * state.toHosts.  Hook results are saved
+ * per host in state.hosts, since they can differ from host to host.  A
+ * failure on one host doesn't stop the push to the others: the results
+ * for each host are stored in state.results.
+ */
+function pushToHosts(state, callback) {
+    debug('==> pushToHosts start');
+    state.results = {};
+    state.pushTime = new Date().toISOString();
+    state.pushId = state.pushTime.replace(/[-:]/g, '');
+    var runOpts = run.settings(state.config, state.given);
+
+    vasync.forEachParallel({
+        inputs: state.toHosts,
+        func: function _pushToHost(host, cb) {
+            if (!state.hosts.hasOwnProperty(host)) {
+                initHost(state, host);
+            }
+
+            var hostState = {
+                backup: state.useBackup ? {
+                    created: [],
+                    createdDirs: [],
+                    dir: backup.backupDir(state.pushId),
+                    saved: [],
+                    tars: []
+                } : null,
+                copied: 0,
+                deleted: 0,
+                dryrun: state.dryrun,
+                events: state.events,
+                fileStatus: {},
+                force: state.force,
+                freshFuncs: {},
+                funcValues: state.hosts[host].funcValues,
+                hooks: state.hooks,
+                mirror: state.mirror,
+                modified: state.modified,
+                remotePaths: state.remotePaths,
+                retries: runOpts.retries,
+                scpArgs: sshConf.scpArgs(state.config, host),
+                show: state.show,
+                sshArgs: sshConf.sshArgs(state.config, host),
+                concurrency: state.concurrency,
+                timeouts: runOpts.timeouts,
+                toHost: host,
+                toPush: state.toPush,
+                toRun: state.toRun,
+                top: state.top,
+                transport: state.transport,
+                unified: state.unified,
+                varValues: state.hosts[host].varValues
+            };
+
+            vasync.pipeline({
+                arg: hostState,
+                funcs: withKinds(state.hostFuncs || [
+                    callFunctions,
+                    expandVariables,
+                    runBeforeCommands,
+                    backupFiles,
+                    copyFiles,
+                    deleteFiles,
+                    runAfterCommands
+                ])
+            }, function (err) {
+                state.results[host] = {
+                    backup: hostState.backup,
+                    deleted: hostState.deleted,
+                    err: err,
+                    files: state.hostFuncs ? [] :
+                        fileResults(state, hostState, err),
+                    pushed: hostState.copied,
+                    report: hostState.report
+                };
+
+                return cb(null);
+            });
+        }
+    }, function (err) {
+        var failed = state.toHosts.filter(function (host) {
+            return state.results[host].err;
+        });
+
+        vasync.pipeline({
+            arg: state,
+            funcs: [
+                saveCache,
+                saveHistory
+            ]
+        }, function () {
+            if (failed.length === 1 && state.toHosts.length === 1) {
+                return callback(state.results[failed[0]].err);
+            }
+
+            if (failed.length !== 0) {
+                return callback(setKind(new VError(
+                    'Push failed for %d of %d hosts', failed.length,
+                    state.toHosts.length),
+                    common.errorKind(state.results[failed[0]].err)));
+            }
+
+            return callback(null);
+        });
+    });
+}
+
+
+
+// --- Internal
+
+
+
+/*
+ * Returns val (an option that can be a string or an array of strings) as an
+ * array
+ */
+function arrayOpt(val) {
+    return (val === undefined || val === null) ? [] : [].concat(val);
+}
+
+
+/*
+ * Returns the state used by all of the API functions, from these options:
+ * - configFile, reposFile, cacheFile, historyFile, hooksDir: the files to
+ *   use instead of the ones in $HOME
+ * - config, repos: the contents of the config and repos files, to use
+ *   instead of loading them
+ * - host, group: the hosts and groups of hosts to use (each can be a
+ *   string or an array)
+ * - repoDir: a directory in the git repo (the current directory by
+ *   default)
+ * - remote: the name of the git remote that identifies the repo (by
+ *   default, the first remote with an entry in the repos file, trying
+ *   "origin" first)
+ * - dryrun: don't change anything: emit a "dryrun" event with each command
+ *   that would have been run instead (and the host it would have been run
+ *   on)
+ * - hookTimeout, transferTimeout: how long (in seconds) to wait for a
+ *   command run by a hook, or one that copies files or runs commands on a
+ *   host, before giving up on it (0 to wait forever).  These override the
+ *   config file's settings.
+ * - retries: how many more times to try copies, hooks and commands on the
+ *   host that fail because ssh couldn't connect to it (overriding the
+ *   config file's setting)
+ */
+function baseState(opts) {
+    return {
+        dryrun: !!opts.dryrun,
+        events: new EventEmitter(),
+        files: {
+            cache: opts.cacheFile || CACHE,
+            config: opts.configFile || (opts.config ? '<config>' : CONFIG),
+            history: opts.historyFile || HISTORY,
+            hooks: opts.hooksDir || HOOKS_DIR,
+            repos: opts.reposFile || (opts.repos ? '<repos>' : REPOS)
+        },
+        given: {
+            config: opts.config,
+            hookTimeout: opts.hookTimeout,
+            repos: opts.repos,
+            retries: opts.retries,
+            transferTimeout: opts.transferTimeout
+        },
+        groups: arrayOpt(opts.group),
+        remote: opts.remote,
+        repoDir: opts.repoDir || process.cwd(),
+        toHosts: arrayOpt(opts.host)
+    };
+}
+
+
+/*
+ * Returns the state for push() and watch(), which also take these options:
+ * - transport: "scp", "rsync" or "tar" (overriding the repo's setting)
+ * - mirror: with rsync, delete remote files that don't exist locally
+ * - concurrency: the maximum number of copies to each host at once
+ * - backup: back up files on the host before overwriting them (true by
+ *   default)
+ * - cache: use cached hook values (true by default)
+ */
+function pushState(opts) {
+    var state = baseState(opts);
+
+    state.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+    state.hosts = {};
+    state.mirror = !!opts.mirror;
+    state.transport = opts.transport;
+    state.useBackup = (opts.backup !== false);
+    state.useCache = (opts.cache !== false);
+    state.varValues = {};
+
+    return state;
+}
+
+
+/*
+ * Returns an error if the options for push() or watch() are invalid
+ */
+function checkPushOpts(opts) {
+    if (opts.transport && conf.TRANSPORTS.indexOf(opts.transport) === -1) {
+        return new VError('Unknown transport "%s" (must be one of: %s)',
+            opts.transport, conf.TRANSPORTS.join(', '));
+    }
+
+    var modes = [ 'all', 'since', 'commit' ].filter(function (m) {
+        return opts[m];
+    });
+    if (modes.length > 1) {
+        return new VError('Only one of all, since and commit can be used');
+    }
+
+    if (opts.again !== undefined && opts.again !== null) {
+        if (typeof (opts.again) !== 'number' || opts.again % 1 !== 0
+            || opts.again < 1) {
+            return new VError('again must be a whole number, 1 or more');
+        }
+
+        if (modes.length !== 0 || (opts.files && opts.files.length !== 0)) {
+            return new VError(
+                'again can\'t be used with files, all, since or commit');
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Returns the history record of the last push to host that hasn't been
+ * undone, skipping pushes that didn't change anything there.  Returns an
+ * error if that push made no backups, since restoring an older push's
+ * backups would overwrite its files with older ones.
+ */
+function undoRecord(state, host) {
+    var records = state.history.filter(function (r) {
+        return r.host === host && !r.undone;
+    });
+
+    for (var i = records.length - 1; i >= 0; i--) {
+        var r = records[i];
+        if (r.dir) {
+            return r;
+        }
+
+        // Records from before the history had results always have backups
+        var changed = (r.results || []).some(function (f) {
+            return [ 'deleted', 'failed', 'pushed' ].indexOf(f.status) !== -1;
+        });
+
+        if (changed) {
+            return new VError('Push %s to "%s" made no backups, so it can\'t '
+                + 'be undone', r.id, host);
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Returns the result of a push: the files pushed (with their paths relative
+ * to the top of the repo, and the local side of the mapping that matched
+ * them), the push's id and the results for each host
+ */
+function pushResult(state) {
+    return {
+        files: (state.toPush || []).map(function (f) {
+            return {
+                deleted: !!f.deleted,
+                mapping: f.matchingPath ? f.matchingPath.local : null,
+                path: f.path
+            };
+        }),
+        hosts: (state.results ? state.toHosts : []).map(function (host) {
+            var res = state.results[host];
+            return {
+                backup: res.backup,
+                deleted: res.deleted,
+                err: res.err,
+                files: res.files,
+                host: host,
+                pushed: res.pushed,
+                report: res.report
+            };
+        }),
+        id: state.pushId
+    };
+}
+
+
+/*
+ * Pushes a batch of changed files for watch(), reusing the repo, path and
+ * hook information that it has already worked out
+ */
+function pushChanged(state, files, callback) {
+    var batch = {
+        cache: state.cache,
+        commands: state.commands,
+        concurrency: state.concurrency,
+        config: state.config,
+        dryrun: state.dryrun,
+        events: state.events,
+        exclude: state.exclude,
+        files: state.files,
+        given: state.given,
+        hooks: state.hooks,
+        hosts: state.hosts,
+        mirror: state.mirror,
+        remotePaths: state.remotePaths,
+        repo: state.repo,
+        repos: state.repos,
+        toHosts: state.toHosts,
+        toPush: [],
+        toPushRaw: files,
+        top: state.top,
+        transport: state.transport,
+        useBackup: state.useBackup,
+        useCache: state.useCache,
+        varValues: state.varValues
+    };
+
+    vasync.pipeline({
+        arg: batch,
+        funcs: withKinds([
+            resolveLocalPaths,
+            matchPaths,
+            selectCommands,
+            pushToHosts
+        ])
+    }, function (err, res) {
+        return callback(err || null, pushResult(batch));
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Pushes files to the hosts.  As well as the options for baseState() and
+ * pushState(), opts can have:
+ * - files: the files and directories to push (relative to repoDir)
+ * - all: push all files that git says have changed
+ * - untracked: with all, also push files that git isn't tracking
+ * - since: push all files changed since the branch forked from this ref
+ * - commit: push all files changed in this commit
+ * - propagateDeletes: with all, since or commit, delete files on the
+ *   hosts that have been deleted in the repo
+ * - diff: compare the files with the ones on the hosts instead of pushing
+ *   them (the results are in each host's "report")
+ * - unified: with diff, include a unified diff of files that differ
+ * - again: repeat an earlier push from this repo, from the history file (1
+ *   for the last one, 2 for the one before that, and so on), with the
+ *   same files.  Their remote paths are worked out again from the current
+ *   config.  Unless hosts or groups are given, it goes to the same hosts.
+ *
+ * Calls callback(err, result) when done: result is from pushResult(), and
+ * has the results for each host even if the push failed for some of them.
+ * Each host's "files" has the outcome for each file (see fileResults()).
+ * Errors have a "kind" property: "config", "git", "hook" or "transfer".
+ * Returns an EventEmitter that emits these events for each file and
+ * remote path it's copied to (or deleted from) on a host, with an object
+ * with host, path, mapping, dest, deleted and (for "failed") err
+ * properties:
+ * - resolved: the file's destination has been worked out
+ * - started: the copy (or delete) has started
+ * - done: the copy (or delete) succeeded
+ * - failed: the copy (or delete) failed
+ */
+function push(opts, callback) {
+    var state = pushState(opts);
+
+    state.again = opts.again;
+    state.commit = opts.commit;
+    state.propagateDeletes = !!opts.propagateDeletes;
+    state.repeatHosts = (state.toHosts.length === 0
+        && state.groups.length === 0);
+    state.pushAll = !!opts.all;
+    state.since = opts.since;
+    state.toPush = [];
+    state.toPushRaw = (opts.files || []).map(function (f) {
+        return path.resolve(state.repoDir, f);
+    });
+    state.unified = !!opts.unified;
+    state.untracked = !!opts.untracked;
+
+    var optsErr = checkPushOpts(opts);
+    if (!optsErr && !state.pushAll && !state.since && !state.commit
+        && !state.again && state.toPushRaw.length === 0) {
+        optsErr = new VError('No files to push');
+    }
+
+    if (optsErr) {
+        process.nextTick(function () {
+            return callback(optsErr, pushResult(state));
+        });
+        return state.events;
+    }
+
+    if (opts.diff) {
+        // Compare the files with the ones on the hosts instead of pushing
+        state.hostFuncs = [
+            callFunctions,
+            expandVariables,
+            compareFiles
+        ];
+    }
+
+    vasync.pipeline({
+        arg: state,
+        funcs: withKinds([
+            getGitRepoRemote,
+            loadConfig,
+            setToHosts,
+            loadCache,
+            loadRepos,
+            getGitTop,
+            loadRepoFile,
+            validateRemoteRepo,
+            selectTransport,
+            loadHooks,
+            findAgainPush,
+            getAllFromGit,
+            getDiffFromGit,
+            resolveLocalPaths,
+            determineVariableWork,
+            matchPaths,
+            selectCommands,
+            pushToHosts
+        ])
+    }, function (err, res) {
+        debug(util.inspect(state));
+        return callback(err || null, pushResult(state));
+    });
+
+    return state.events;
+}
+
+
+/*
+ * Watches the local paths in the repo's path mappings, and pushes files
+ * when they change.  Takes the same options as push() (apart from the ones
+ * that pick which files to push), plus watchDelay: how many milliseconds to
+ * wait after the last change before pushing.
+ *
+ * Calls callback(err, info) once it has started watching, where info has
+ * the hosts being pushed to and the top of the repo being watched.
+ * Returns an EventEmitter that emits the same events as push(), and a
+ * "push" event with (err, result) after each batch of files is pushed.
+ * Its close() method stops watching (or stops it from starting, if it
+ * hasn't yet).
+ */
+function watch(opts, callback) {
+    var state = pushState(opts);
+    var closed = false;
+    var watcher = null;
+
+    state.events.close = function () {
+        closed = true;
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+    };
+
+    var optsErr = checkPushOpts(opts);
+    if (optsErr) {
+        process.nextTick(function () {
+            return callback(optsErr);
+        });
+        return state.events;
+    }
+
+    vasync.pipeline({
+        arg: state,
+        funcs: withKinds([
+            getGitRepoRemote,
+            loadConfig,
+            setToHosts,
+            loadCache,
+            loadRepos,
+            getGitTop,
+            loadRepoFile,
+            validateRemoteRepo,
+            selectTransport,
+            loadHooks,
+            determineVariableWork
+        ])
+    }, function (err, res) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Watch everything above the first wildcard in each mapping
+        var paths = state.remotePaths.map(function (p) {
+            return path.join(state.top, match.globBase(p.local));
+        });
+        debug('watching: %j', paths);
+
+        if (closed) {
+            debug('watch: closed before starting');
+            return callback(null, { hosts: state.toHosts, top: state.top });
+        }
+
+        watcher = watchPaths({
+            delay: opts.watchDelay,
+            paths: paths,
+            onChange: function (files, cb) {
+                files = files.filter(function (f) {
+                    var file = path.relative(state.top, f);
+                    var found = match.bestMatch(state.remotePaths, file);
+                    return !found || !excludedBy(state, found, file);
+                });
+
+                if (files.length === 0) {
+                    return cb();
+                }
+
+                return pushChanged(state, files, function (pushErr, result) {
+                    state.events.emit('push', pushErr, result);
+                    return cb();
+                });
+            }
+        });
+
+        return callback(null, { hosts: state.toHosts, top: state.top });
+    });
+
+    return state.events;
+}
+
+
+/*
+ * Undoes the last push to each host that made backups and hasn't already
+ * been undone, using those backups.  Takes the options for baseState().  Calls
+ * callback(err, undone), where undone has the host and history record of
+ * each push that was undone (err has any hosts that couldn't be undone).
+ * The repo's "after" commands aren't run.  Returns an EventEmitter for
+ * "dryrun" events.
+ */
+function undo(opts, callback) {
+    var state = baseState(opts);
+    var undone = [];
+
+    vasync.pipeline({
+        arg: state,
+        funcs: withKinds([
+            loadConfig,
+            setToHosts,
+            loadHistory
+        ])
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        var errors = [];
+        var runOpts = run.settings(state.config, state.given);
+
+        function done() {
+            return callback(errors.length === 0 ? null :
+                new MultiError(errors), undone);
+        }
+
+        vasync.forEachParallel({
+            inputs: state.toHosts,
+            func: function _undoHost(host, cb) {
+                var record = undoRecord(state, host);
+
+                if (record instanceof Error) {
+                    errors.push(setKind(record, 'config'));
+                    return cb(null);
+                }
+
+                if (!record) {
+                    errors.push(setKind(new VError(
+                        'No pushes to "%s" to undo', host), 'config'));
+                    return cb(null);
+                }
+
+                var cmd = backup.undoCmd(record);
+                var hostState = {
+                    events: state.events,
+                    retries: runOpts.retries,
+                    sshArgs: sshConf.sshArgs(state.config, host),
+                    timeouts: runOpts.timeouts,
+                    toHost: host
+                };
+
+                if (state.dryrun) {
+                    dryrun(hostState, run.sshArgv(hostState, cmd));
+                    return cb(null);
+                }
+
+                run.ssh(hostState, cmd, 'transfer', function (sshErr) {
+                    if (sshErr) {
+                        errors.push(setKind(new VError(sshErr,
+                            'Undoing push %s to "%s" failed', record.id,
+                            host), 'transfer'));
+                        return cb(null);
+                    }
+
+                    record.undone = true;
+                    undone.push({ host: host, record: record });
+                    return cb(null);
+                });
+            }
+        }, function () {
+            if (state.dryrun) {
+                return done();
+            }
+
+            writeHistory(state, function (writeErr) {
+                if (writeErr) {
+                    errors.push(writeErr);
+                }
+
+                return done();
+            });
+        });
+    });
+
+    return state.events;
+}
+
+
+/*
+ * Pulls files from the host back into the repo, from where push() would
+ * copy them to (expanding variables and hooks the same way).  Takes the
+ * same options as push() for finding the repo and host, and:
+ * - files: the files to pull (relative to repoDir)
+ * - allMapped: a directory: pull all of the files git tracks in it that
+ *   the repo's paths map, instead of files
+ * - show: don't write the files: put their contents in "data" in the
+ *   host's report instead
+ * - force: overwrite local files that have uncommitted changes
+ *
+ * Calls callback(err, result), where result is the same as for push(),
+ * with each file's status in its host's "report".  If files weren't
+ * overwritten because they have local changes, err's kind is "modified".
+ * Returns an EventEmitter, which emits "dryrun" events for dry runs.
+ */
+function pull(opts, callback) {
+    var state = pushState(opts);
+
+    state.allMapped = opts.allMapped;
+    state.force = !!opts.force;
+    state.show = !!opts.show;
+    state.toPush = [];
+    state.toPushRaw = (opts.files || []).map(function (f) {
+        return path.resolve(state.repoDir, f);
+    });
+    // Pulling doesn't run the repo's before and after commands
+    state.toRun = { after: [], before: [] };
+    state.useBackup = false;
+    state.hostFuncs = [
+        callFunctions,
+        expandVariables,
+        pullFiles
+    ];
+
+    if (state.allMapped === undefined && state.toPushRaw.length === 0) {
+        process.nextTick(function () {
+            return callback(new VError('No files to pull'),
+                pushResult(state));
+        });
+        return state.events;
+    }
+
+    vasync.pipeline({
+        arg: state,
+        funcs: withKinds([
+            getGitRepoRemote,
+            loadConfig,
+            setToHosts,
+            checkPullHost,
+            loadCache,
+            loadRepos,
+            getGitTop,
+            loadRepoFile,
+            validateRemoteRepo,
+            loadHooks,
+            determineVariableWork,
+            resolvePullPaths,
+            matchPaths,
+            getModifiedFromGit,
+            pushToHosts
+        ])
+    }, function (err) {
+        return callback(err || null, pushResult(state));
+    });
+
+    return state.events;
+}
+
+
+/*
+ * Calls callback(err, records) with the pushes in the history file, newest
+ * first.  If opts.host is set, only pushes to those hosts are included.
+ */
+function history(opts, callback) {
+    var state = baseState(opts);
+
+    loadHistory(state, function (err) {
+        if (err) {
+            return callback(setKind(err, 'config'));
+        }
+
+        return callback(null, state.history.filter(function (r) {
+            return state.toHosts.length === 0
+                || state.toHosts.indexOf(r.host) !== -1;
+        }).reverse());
+    });
+}
+
+
+/*
+ * Checks the config and repos files (and the .pushit.json file for the
+ * current repo, if there is one) for problems, including the variables and
+ * hooks used by each repo.  Calls callback with a MultiError of all of the
+ * problems found, if there are any.
+ */
+function checkConfig(opts, callback) {
+    var errors = [];
+    var state = baseState(opts);
+    state.groups = [];
+    state.toHosts = [];
+
+    function check(func, cb) {
+        func(state, function (err) {
+            if (err) {
+                errors = errors.concat(errorList(err));
+            }
+
+            return cb();
+        });
+    }
+
+    // Returns err (from determineVariableWork() for the repo name) with
+    // the file and line of the value that it's about.  The current repo's
+    // entry is merged with its .pushit.json (see conf.mergeRepo()), so
+    // work out which of the two the value came from.
+    function locate(name, err) {
+        var keys = err.keys || [];
+        var personal = conf.isObject(state.personalRepo) ?
+            state.personalRepo : {};
+        var shared = (name === state.repo && conf.isObject(state.sharedRepo))
+            ? state.sharedRepo : null;
+        var inShared = false;
+        var n;
+
+        if (shared && keys[0] === 'paths') {
+            n = Array.isArray(personal.paths) ? personal.paths.length : 0;
+            if (keys[1] >= n) {
+                inShared = true;
+                keys = [ 'paths', keys[1] - n ].concat(keys.slice(2));
+            }
+        } else if (shared && (keys[0] === 'before' || keys[0] === 'after')) {
+            n = Array.isArray(shared[keys[0]]) ? shared[keys[0]].length : 0;
+            if (keys[1] < n) {
+                inShared = true;
+            } else {
+                keys = [ keys[0], keys[1] - n ].concat(keys.slice(2));
+            }
+        } else if (shared && keys[0] === 'variables') {
+            inShared = !(conf.isObject(personal.variables)
+                && personal.variables.hasOwnProperty(keys[1]));
+        }
+
+        var probs = inShared ?
+            conf.problems(state.repoFile, state.repoText) :
+            conf.problems(state.files.repos, state.reposText);
+        probs.error(inShared ? keys : [ name ].concat(keys), err.value, '%s',
+            err.message);
+        return probs.errors[0];
+    }
+
+    function checkRepoVars(name, cb) {
+        if (!conf.isObject(state.repos[name])) {
+            // Already reported by loadRepos()
+            return cb(null);
+        }
+
+        var repoState = {
+            hooks: state.hooks,
+            repo: name,
+            repos: state.repos,
+            // Local paths are only used relative to the top of the repo
+            top: '/',
+            varValues: {}
+        };
+
+        determineVariableWork(repoState, function (err) {
+            if (err) {
+                errorList(err).forEach(function (e) {
+                    errors.push(locate(name, e));
+                });
+            }
+
+            return cb(null);
+        });
+    }
+
+    // Check the current repo's .pushit.json, if we're in a git repo that
+    // has one
+    function checkRepoFile(cb) {
+        vasync.pipeline({
+            arg: state,
+            funcs: [ getGitRepoRemote, getGitTop ]
+        }, function (gitErr) {
+            if (gitErr) {
+                debug('not checking %s: %s', REPO_FILE, gitErr.message);
+                return cb();
+            }
+
+            check(loadRepoFile, function () {
+                if (state.sharedRepo && conf.isObject(state.repos)) {
+                    // Check the merged config under the entry's name, so
+                    // that its problems are only reported once
+                    var name = findRepoEntry(state);
+                    if (name !== null) {
+                        state.repo = name;
+                    }
+
+                    state.personalRepo = state.repos[state.repo];
+                    state.repos[state.repo] = conf.mergeRepo(
+                        state.repos[state.repo], state.sharedRepo);
+                }
+
+                return cb();
+            });
+        });
     }
 
-    if (opts.hasOwnProperty('repo')) {
-        return printRepo();
+    function checkAllRepos() {
+        var repos = conf.isObject(state.repos) ? state.repos : {};
+        if (Object.keys(repos).length === 0 && errors.length === 0) {
+            errors.push(new VError('No repos configured in "%s"',
+                state.files.repos));
+        }
+
+        vasync.forEachParallel({
+            inputs: Object.keys(repos),
+            func: checkRepoVars
+        }, function () {
+            return callback(errors.length === 0 ? null :
+                setKind(new MultiError(errors), 'config'));
+        });
     }
 
-    // Must run with -a or file args to actually push
-    if (!opts.all && opts._args.length === 0) {
-        return usage(parser);
+    check(loadConfig, function () {
+        check(loadRepos, function () {
+            checkRepoFile(function () {
+                check(loadHooks, checkAllRepos);
+            });
+        });
+    });
+}
+
+
+/*
+ * Calls callback(err, host) with the default host from the config file
+ */
+function defaultHost(opts, callback) {
+    var state = baseState(opts);
+    state.groups = [];
+    state.toHosts = [];
+
+    loadConfig(state, function (err) {
+        if (err) {
+            return callback(setKind(err, 'config'));
+        }
+
+        return callback(null, state.config.defaultHost);
+    });
+}
+
+
+/*
+ * Sets the default host in the config file to opts.host, keeping any other
+ * settings in it
+ */
+function setDefaultHost(opts, callback) {
+    var file = opts.configFile || CONFIG;
+
+    fs.readFile(file, function (err, data) {
+        var config = {};
+
+        if (err && err.code != 'ENOENT') {
+            return callback(err);
+        }
+
+        if (!err) {
+            try {
+                config = conf.parse(file, data.toString());
+            } catch (parseErr) {
+                return callback(parseErr);
+            }
+        }
+
+        config.defaultHost = opts.host;
+        debug('Writing config to "%s": %j', file, config);
+        fs.writeFile(file, JSON.stringify(config, null, 2), callback);
+    });
+}
+
+
+/*
+ * Calls callback(err, repo) with the URL of the current repo's remote that
+ * pushit uses to find its entry in the repos file
+ */
+function repoName(opts, callback) {
+    var state = baseState(opts);
+
+    getGitRepoRemote(state, function (err) {
+        if (err) {
+            return callback(setKind(err, 'git'));
+        }
+
+        // Use the remote with an entry in the repos file, if there is one
+        loadRepos(state, function (reposErr) {
+            if (!reposErr) {
+                findRepoEntry(state);
+            }
+
+            return callback(null, state.repo);
+        });
+    });
+}
+
+
+/*
+ * Calls callback(err, info) with what's needed to set up an entry in the
+ * repos file for the current repo:
+ * - repo: the URL of the repo's remote (the key for the new entry)
+ * - entry: the name of the repo's existing entry, or null if it has none
+ * - top: the top-level directory of the repo
+ * - dirs: the top-level directories in the repo that git tracks
+ * - host: the host option, or the default host (or null if there's no
+ *   config file), for checking directories on with checkRemoteDirs()
+ */
+function initInfo(opts, callback) {
+    var state = baseState(opts);
+
+    vasync.pipeline({
+        funcs: withKinds([
+            getGitRepoRemote,
+            getGitTop,
+            loadRepos,
+            getGitDirs
+        ]),
+        arg: state
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        var info = {
+            dirs: state.dirs,
+            entry: findRepoEntry(state),
+            host: state.toHosts[0] || null,
+            repo: state.repo,
+            top: state.top
+        };
+
+        if (info.host !== null) {
+            return callback(null, info);
+        }
+
+        loadConfig(state, function (confErr) {
+            if (!confErr) {
+                info.host = state.config.defaultHost;
+            }
+
+            return callback(null, info);
+        });
+    });
+}
+
+
+/*
+ * Calls callback(err, existing) with the directories in dirs that exist on
+ * opts.host (connecting with its ssh options from the config file)
+ */
+function checkRemoteDirs(opts, dirs, callback) {
+    var cmd = fmt('for d in %s; do if [ -d "$d" ]; then printf "%%s\\n" '
+        + '"$d"; fi; done', dirs.map(shellQuote).join(' '));
+
+    if (dirs.length === 0) {
+        return callback(null, []);
     }
 
-    push(opts, opts._args);
+    var state = baseState(opts);
+
+    loadConfig(state, function (confErr) {
+        if (confErr) {
+            return callback(setKind(confErr, 'config'));
+        }
+
+        var runOpts = run.settings(state.config, state.given);
+
+        run.ssh({
+            retries: runOpts.retries,
+            sshArgs: sshConf.sshArgs(state.config, opts.host),
+            timeouts: runOpts.timeouts,
+            toHost: opts.host
+        }, cmd, 'hook', function (err, res) {
+            if (err) {
+                return callback(setKind(new VError(err,
+                    'Could not check directories on %s', opts.host),
+                    'transfer'));
+            }
+
+            var found = res.stdout.split('\n');
+            return callback(null, dirs.filter(function (d) {
+                return found.indexOf(d) !== -1;
+            }));
+        });
+    });
+}
+
+
+/*
+ * Adds an entry to the repos file for repo, without changing the existing
+ * entries or how they're formatted.  It's an error if repo already has an
+ * entry.
+ */
+function addRepo(opts, repo, entry, callback) {
+    var file = opts.reposFile || REPOS;
+
+    fs.readFile(file, function (err, data) {
+        var added;
+        var repos = {};
+        var text = '';
+
+        if (err && err.code != 'ENOENT') {
+            return callback(err);
+        }
+
+        try {
+            if (!err) {
+                text = data.toString();
+                repos = conf.parse(file, text);
+            }
+
+            text = conf.addRepoText(text, repo, entry);
+            added = conf.parse(file, text);
+        } catch (parseErr) {
+            return callback(setKind(parseErr, 'config'));
+        }
+
+        if (conf.findRepo(repos, repo) !== null) {
+            return callback(setKind(new VError(
+                'Repo "%s" already has an entry in "%s"', repo, file),
+                'config'));
+        }
+
+        var errors = conf.checkRepos(file, text, added);
+        if (errors.length !== 0) {
+            return callback(setKind(new MultiError(errors), 'config'));
+        }
+
+        debug('Writing repos file "%s"', file);
+        fs.writeFile(file, text, callback);
+    });
+}
+
+
+/*
+ * Removes all cached hook values
+ */
+function clearCache(opts, callback) {
+    var file = opts.cacheFile || CACHE;
+
+    debug('Removing cache file "%s"', file);
+    fs.unlink(file, function (err) {
+        if (err && err.code != 'ENOENT') {
+            return callback(err);
+        }
+
+        return callback(null);
+    });
 }
 
 
-main();
+
+module.exports = {
+    addRepo: addRepo,
+    checkConfig: checkConfig,
+    checkRemoteDirs: checkRemoteDirs,
+    clearCache: clearCache,
+    defaultHost: defaultHost,
+    history: history,
+    initInfo: initInfo,
+    pull: pull,
+    push: push,
+    repoName: repoName,
+    setDefaultHost: setDefaultHost,
+    undo: undo,
+    watch: watch
+};
@@ -0,0 +1,246 @@
+/*
+ * pushit command running
+ *
+ * Runs the ssh, scp and rsync commands that talk to hosts.  Each command
+ * has a timeout (one for hooks, and a longer one for transfers), and
+ * commands that fail because ssh couldn't connect to the host are tried
+ * again, waiting longer before each try.
+ */
+
+
+var common = require('./common');
+var cp = require('child_process');
+var VError = require('verror').VError;
+var debug = common.debug;
+var shellQuote = common.shellQuote;
+var verbose = common.verbose;
+
+
+// The defaults for the config file settings (the timeouts are in seconds)
+var DEFAULTS = {
+    hookTimeout: 60,
+    retries: 2,
+    transferTimeout: 600
+};
+// How long to wait (in milliseconds) before the first retry: this doubles
+// for each retry after that
+var BACKOFF = 1000;
+// Errors from ssh (also printed by scp and rsync, which use it) for
+// connection problems that may go away if the command is tried again.
+// These all happen before the connection is set up, so the remote command
+// can't have started.  Errors from later on (eg: "Broken pipe", or
+// "Connection to host closed") aren't here, since the command may have
+// run.
+var TRANSIENT_RE = new RegExp('^ssh: connect to host .*: (Connection '
+    + 'refused|Connection timed out|No route to host|Network is '
+    + 'unreachable)|^(kex|ssh)_exchange_identification:'
+    + '|^Connection (reset|closed) by \\S+ port \\d+', 'm');
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns the timeouts and the number of retries to use: from given (the
+ * API options), then config (the config file), then the defaults
+ */
+function settings(config, given) {
+    var set = {};
+
+    Object.keys(DEFAULTS).forEach(function (k) {
+        if (given && given[k] !== undefined && given[k] !== null) {
+            set[k] = given[k];
+        } else if (config && config.hasOwnProperty(k)) {
+            set[k] = config[k];
+        } else {
+            set[k] = DEFAULTS[k];
+        }
+    });
+
+    return {
+        retries: set.retries,
+        timeouts: {
+            hook: set.hookTimeout,
+            transfer: set.transferTimeout
+        }
+    };
+}
+
+
+/*
+ * Returns the options for execFile() for a command run for state.  kind is
+ * "hook", "command" (a before or after command) or "transfer" (copies,
+ * and the commands pushit runs on the host itself).  All of them are
+ * retried, since only failures to connect are (see TRANSIENT_RE), and the
+ * command can't have run then.  Commands use the transfer timeout.
+ */
+function options(state, kind) {
+    var defaults = settings();
+
+    return {
+        retries: state.hasOwnProperty('retries') ?
+            state.retries : defaults.retries,
+        timeout: (state.timeouts || defaults.timeouts)[
+            kind === 'hook' ? 'hook' : 'transfer']
+    };
+}
+
+
+/*
+ * Returns true if a command that printed stderr failed because ssh
+ * couldn't connect to the host, in a way that may go away
+ */
+function isTransient(stderr) {
+    return TRANSIENT_RE.test(stderr);
+}
+
+
+/*
+ * Returns the error for cmd (a string, for display) taking longer than
+ * timeout seconds
+ */
+function timeoutError(cmd, timeout) {
+    return new VError('Command timed out after %ds: %s', timeout, cmd);
+}
+
+
+/*
+ * Kills child if it's still running after timeout seconds (0 means no
+ * timeout).  Returns an object whose timedOut property is set to true if
+ * that happened.
+ */
+function killAfter(child, timeout) {
+    var timer = { timedOut: false };
+
+    if (!timeout) {
+        return timer;
+    }
+
+    var id = setTimeout(function () {
+        timer.timedOut = true;
+        child.kill();
+    }, timeout * 1000);
+
+    child.on('close', function () {
+        clearTimeout(id);
+    });
+
+    return timer;
+}
+
+
+/*
+ * Calls func(cb) until it succeeds, or fails with an error that doesn't
+ * have its "transient" property set, up to retries more times.  Waits
+ * before each retry, twice as long as the last time.  Calls callback with
+ * the arguments of the last call to cb.  what describes the command, for
+ * the messages about retrying.
+ */
+function retry(what, retries, func, callback) {
+    var tries = 0;
+
+    function attempt() {
+        tries++;
+        func(function (err) {
+            var args = arguments;
+
+            if (!err || !err.transient || tries > retries) {
+                return callback.apply(null, args);
+            }
+
+            // For failed commands, the last line is usually what they
+            // printed about why
+            var lines = err.message.trim().split('\n');
+            var delay = BACKOFF * Math.pow(2, tries - 1);
+            verbose('%s failed (%s): retrying in %ds', what,
+                lines[lines.length - 1].trim(), delay / 1000);
+            setTimeout(attempt, delay);
+        });
+    }
+
+    attempt();
+}
+
+
+/*
+ * Runs file with args, like child_process.execFile().  opts can have
+ * "timeout" (in seconds: 0 for none), "retries" and "what" (see retry():
+ * the command by default), as well as cwd, env, encoding and maxBuffer,
+ * which are passed to execFile().
+ * Errors for commands that time out have their "timedOut" property set.
+ */
+function execFile(file, args, opts, callback) {
+    var cmd = [ file ].concat(args).map(shellQuote).join(' ');
+    var execOpts = {};
+
+    [ 'cwd', 'encoding', 'env', 'maxBuffer' ].forEach(function (k) {
+        if (opts.hasOwnProperty(k)) {
+            execOpts[k] = opts[k];
+        }
+    });
+    execOpts.timeout = (opts.timeout || 0) * 1000;
+
+    retry(opts.what || cmd, opts.retries || 0, function _exec(cb) {
+        cp.execFile(file, args, execOpts, function (err, stdout, stderr) {
+            if (!err) {
+                return cb(null, stdout, stderr);
+            }
+
+            if (err.killed && opts.timeout) {
+                err = timeoutError(cmd, opts.timeout);
+                err.timedOut = true;
+            } else {
+                err.transient = isTransient(stderr.toString());
+            }
+
+            debug('command failed: %s: %s', cmd, err.message);
+            return cb(err, stdout, stderr);
+        });
+    }, callback);
+}
+
+
+/*
+ * Returns the command (as an array of arguments) that runs cmd on the host,
+ * with the ssh options for it in state.sshArgs
+ */
+function sshArgv(state, cmd) {
+    return [ 'ssh' ].concat(state.sshArgs || [], state.toHost, cmd);
+}
+
+
+/*
+ * Runs cmd on the host, with the ssh options for it in state.sshArgs and
+ * the timeout and retries for kind (see options()).  Calls
+ * callback(err, { stdout, stderr }).
+ */
+function ssh(state, cmd, kind, callback) {
+    var argv = sshArgv(state, cmd);
+    var opts = options(state, kind);
+
+    opts.what = 'ssh to ' + state.toHost;
+    verbose('# %s', argv.map(shellQuote).join(' '));
+    execFile(argv[0], argv.slice(1), opts, function (err, stdout, stderr) {
+        if (err) {
+            return callback(err);
+        }
+
+        return callback(null, { stdout: stdout, stderr: stderr });
+    });
+}
+
+
+
+module.exports = {
+    execFile: execFile,
+    isTransient: isTransient,
+    killAfter: killAfter,
+    options: options,
+    retry: retry,
+    settings: settings,
+    ssh: ssh,
+    sshArgv: sshArgv,
+    timeoutError: timeoutError
+};
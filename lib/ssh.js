@@ -0,0 +1,194 @@
+/*
+ * pushit ssh options
+ *
+ * Builds the arguments for ssh and scp from a host's entry in the "hosts"
+ * section of the config file (port, identity file, jump host and extra ssh
+ * options).  Unless a host turns it off, all of the ssh, scp and rsync
+ * commands to a host share one connection, using ssh's ControlMaster.
+ */
+
+
+var common = require('./common');
+var cp = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shellQuote = common.shellQuote;
+var verbose = common.verbose;
+
+
+// Where the ControlMaster sockets are kept
+var CONTROL_DIR = path.join(os.tmpdir(), 'pushit-ssh-'
+    + (process.getuid ? process.getuid() : 'user'));
+// How long (in seconds) an idle master connection is kept open, so that
+// the next run (or batch of files in --watch mode) can reuse it
+var CONTROL_PERSIST = 60;
+// Whether CONTROL_DIR is safe to use (see controlDir()), once checked
+var controlOK = null;
+// Whether scp uses the old scp protocol (see legacyScp()), once checked
+var legacy = null;
+
+
+
+/*
+ * Returns the entry for host in the config file's "hosts" section: either
+ * the one with exactly that name, or the one for its hostname without the
+ * user (eg: "headnode" for "root@headnode").  Returns {} if there's no
+ * entry.
+ */
+function hostEntry(config, host) {
+    var hosts = (config && config.hosts) || {};
+
+    if (hosts.hasOwnProperty(host)) {
+        return hosts[host];
+    }
+
+    var name = host.substr(host.lastIndexOf('@') + 1);
+    if (hosts.hasOwnProperty(name)) {
+        return hosts[name];
+    }
+
+    return {};
+}
+
+
+/*
+ * Creates the directory for the ControlMaster sockets, if it doesn't
+ * exist.  Since it's in a shared temporary directory, another user could
+ * have created it first to get at our connections, so it has to be a real
+ * directory that we own and that only we can use.  Returns false if
+ * creating or checking it failed, so connections shouldn't be shared.
+ */
+function controlDir() {
+    var stat;
+
+    try {
+        fs.mkdirSync(CONTROL_DIR, parseInt('700', 8));
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            verbose('Not sharing ssh connections: could not create "%s": %s',
+                CONTROL_DIR, err.message);
+            return false;
+        }
+    }
+
+    try {
+        stat = fs.lstatSync(CONTROL_DIR);
+    } catch (statErr) {
+        verbose('Not sharing ssh connections: %s', statErr.message);
+        return false;
+    }
+
+    if (!stat.isDirectory()
+        || (process.getuid && stat.uid !== process.getuid())
+        || (stat.mode & parseInt('777', 8)) !== parseInt('700', 8)) {
+        verbose('Not sharing ssh connections: "%s" must be a directory '
+            + 'owned by you with mode 0700', CONTROL_DIR);
+        return false;
+    }
+
+    return true;
+}
+
+
+/*
+ * Returns true if scp uses the old scp protocol, where the remote path is
+ * run through the shell on the host.  OpenSSH 9.0 and later use SFTP,
+ * which takes the path as it is.
+ */
+function legacyScp() {
+    // ssh prints its version to stderr
+    var res = cp.spawnSync('ssh', [ '-V' ], { encoding: 'utf8' });
+    var match = /OpenSSH_(\d+)/.exec(res.stderr || '');
+
+    if (!match) {
+        verbose('Could not get the ssh version: assuming scp quotes paths');
+        return true;
+    }
+
+    return Number(match[1]) < 9;
+}
+
+
+/*
+ * Returns the options for host, with portFlag (which is "-p" for ssh and
+ * "-P" for scp) used for the port
+ */
+function optionArgs(config, host, portFlag) {
+    var args = [];
+    var entry = hostEntry(config, host);
+
+    if (entry.port) {
+        args.push(portFlag, String(entry.port));
+    }
+
+    if (entry.identityFile) {
+        args.push('-i', entry.identityFile);
+    }
+
+    if (entry.proxyJump) {
+        args.push('-J', entry.proxyJump);
+    }
+
+    (entry.options || []).forEach(function (opt) {
+        args.push('-o', opt);
+    });
+
+    if (controlOK === null && entry.multiplex !== false) {
+        controlOK = controlDir();
+    }
+
+    if (entry.multiplex !== false && controlOK) {
+        args.push(
+            '-o', 'ControlMaster=auto',
+            '-o', 'ControlPath=' + path.join(CONTROL_DIR, '%C'),
+            '-o', 'ControlPersist=' + CONTROL_PERSIST);
+    }
+
+    return args;
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns the arguments to pass to ssh (before the host) for connecting to
+ * host
+ */
+function sshArgs(config, host) {
+    return optionArgs(config, host, '-p');
+}
+
+
+/*
+ * Returns the arguments to pass to scp (before the files) for copying to
+ * host
+ */
+function scpArgs(config, host) {
+    return optionArgs(config, host, '-P');
+}
+
+
+/*
+ * Returns the argument for scp to copy to dest on host.  With the old scp
+ * protocol, dest is quoted so that the shell on the host doesn't split or
+ * expand it.
+ */
+function scpTarget(host, dest) {
+    if (legacy === null) {
+        legacy = legacyScp();
+    }
+
+    return host + ':' + (legacy ? shellQuote(dest) : dest);
+}
+
+
+
+module.exports = {
+    scpArgs: scpArgs,
+    scpTarget: scpTarget,
+    sshArgs: sshArgs
+};
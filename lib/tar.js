@@ -0,0 +1,246 @@
+/*
+ * pushit tar stream creation
+ *
+ * Writes files to a stream in ustar format, under whatever names we want
+ * them to have on the remote host, so that they can all be sent over a
+ * single connection and unpacked with "tar xf -"
+ */
+
+
+var common = require('./common');
+var fs = require('fs');
+var path = require('path');
+var debug = common.debug;
+
+
+var BLOCK = 512;
+
+
+
+/*
+ * Writes str into buf at offset, truncated to len bytes
+ */
+function writeStr(buf, str, offset, len) {
+    buf.write(str.substr(0, len), offset, len, 'utf8');
+}
+
+
+/*
+ * Writes num into buf at offset as a zero-padded, NUL-terminated octal
+ * number len bytes long
+ */
+function writeOctal(buf, num, offset, len) {
+    var str = num.toString(8);
+    while (str.length < len - 1) {
+        str = '0' + str;
+    }
+
+    writeStr(buf, str + '\0', offset, len);
+}
+
+
+/*
+ * Splits a name into the ustar name and prefix fields, which have a
+ * maximum length of 100 and 155 bytes
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name: name, prefix: '' };
+    }
+
+    for (var i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        var prefix = name.substr(0, i);
+        var rest = name.substr(i + 1);
+        if (Buffer.byteLength(prefix) <= 155
+            && Buffer.byteLength(rest) <= 100) {
+            return { name: rest, prefix: prefix };
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Returns a ustar header block
+ */
+function headerBlock(hdr) {
+    var buf = Buffer.alloc(BLOCK);
+    var sum = 0;
+
+    writeStr(buf, hdr.name, 0, 100);
+    writeOctal(buf, hdr.mode, 100, 8);
+    writeOctal(buf, 0, 108, 8);
+    writeOctal(buf, 0, 116, 8);
+    writeOctal(buf, hdr.size, 124, 12);
+    writeOctal(buf, hdr.mtime, 136, 12);
+    // The checksum is calculated with its own field set to spaces
+    writeStr(buf, '        ', 148, 8);
+    writeStr(buf, hdr.type, 156, 1);
+    writeStr(buf, 'ustar\0', 257, 6);
+    writeStr(buf, '00', 263, 2);
+    writeStr(buf, hdr.prefix || '', 345, 155);
+
+    for (var i = 0; i < BLOCK; i++) {
+        sum += buf[i];
+    }
+    writeOctal(buf, sum, 148, 7);
+    writeStr(buf, ' ', 155, 1);
+
+    return buf;
+}
+
+
+/*
+ * Returns data padded with zeroes to a multiple of the block size
+ */
+function pad(data) {
+    if (data.length % BLOCK === 0) {
+        return data;
+    }
+
+    return Buffer.concat([ data, Buffer.alloc(BLOCK - data.length % BLOCK) ]);
+}
+
+
+/*
+ * Returns the header blocks for an entry.  Names that are too long for the
+ * ustar header are stored in a pax extended header before it.
+ */
+function header(entry) {
+    var name = entry.name + (entry.isDir ? '/' : '');
+    var split = splitName(name);
+    var hdr = {
+        mode: entry.stat.mode & parseInt('7777', 8),
+        mtime: Math.floor(entry.stat.mtime.getTime() / 1000),
+        size: entry.isDir ? 0 : entry.data.length,
+        type: entry.isDir ? '5' : '0'
+    };
+
+    if (split) {
+        hdr.name = split.name;
+        hdr.prefix = split.prefix;
+        return headerBlock(hdr);
+    }
+
+    // Each pax record is "<length> path=<name>\n", where the length
+    // includes the length field itself
+    var record = ' path=' + name + '\n';
+    var len = Buffer.byteLength(record);
+    len += String(len + String(len).length).length;
+    var paxData = Buffer.from(len + record);
+
+    hdr.name = name.substr(0, 99);
+    return Buffer.concat([
+        headerBlock({
+            mode: hdr.mode,
+            mtime: hdr.mtime,
+            name: 'PaxHeader/' + path.basename(name).substr(0, 80),
+            size: paxData.length,
+            type: 'x'
+        }),
+        pad(paxData),
+        headerBlock(hdr)
+    ]);
+}
+
+
+/*
+ * Adds a tar entry for a local file or directory (and everything in it) to
+ * entries, with the name it should have on the remote host
+ */
+function addEntries(entries, local, remote) {
+    var stat = fs.statSync(local);
+    // Names in the archive are relative to /, where it's unpacked
+    var name = remote.replace(/^\/+/, '');
+
+    if (!stat.isDirectory()) {
+        entries.push({ local: local, name: name, stat: stat });
+        return;
+    }
+
+    entries.push({ isDir: true, local: local, name: name, stat: stat });
+    fs.readdirSync(local).forEach(function (f) {
+        addEntries(entries, path.join(local, f), name + '/' + f);
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/*
+ * Returns the tar entries for a list of copies, each of which has these
+ * properties:
+ * - local: the local path
+ * - remote: the absolute path it should end up at on the remote host
+ */
+function tarEntries(copies) {
+    var entries = [];
+
+    copies.forEach(function (copy) {
+        addEntries(entries, copy.local, copy.remote);
+    });
+
+    return entries;
+}
+
+
+/*
+ * Writes a tar archive of entries (from tarEntries()) to stream, and ends
+ * the stream
+ */
+function writeTar(entries, stream, callback) {
+    var i = 0;
+
+    function next() {
+        if (i === entries.length) {
+            stream.end(Buffer.alloc(BLOCK * 2));
+            return callback(null);
+        }
+
+        var entry = entries[i++];
+        if (entry.isDir) {
+            return writeEntry(entry);
+        }
+
+        fs.readFile(entry.local, function (err, data) {
+            if (err) {
+                stream.end();
+                return callback(err);
+            }
+
+            entry.data = data;
+            return writeEntry(entry);
+        });
+    }
+
+    function writeEntry(entry) {
+        debug('tar: "%s" => "%s"', entry.local, entry.name);
+        var flushed = stream.write(header(entry));
+
+        if (entry.data) {
+            flushed = stream.write(pad(entry.data));
+            // Don't hold on to the contents of every file until we're done
+            delete entry.data;
+        }
+
+        // Wait for the reader to catch up before reading the next file
+        if (!flushed) {
+            return stream.once('drain', next);
+        }
+
+        return next();
+    }
+
+    next();
+}
+
+
+
+module.exports = {
+    tarEntries: tarEntries,
+    writeTar: writeTar
+};
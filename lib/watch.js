@@ -0,0 +1,245 @@
+/*
+ * pushit watch mode
+ *
+ * Watches local files and directories for changes, and hands them off
+ * in batches to be pushed
+ */
+
+
+var common = require('./common');
+var fs = require('fs');
+var path = require('path');
+var debug = common.debug;
+var verbose = common.verbose;
+
+
+// Editor backup and swap files that should never be pushed
+var IGNORE_RE = /^\.#|~$|^\..*\.sw[a-z]$|^4913$/;
+
+
+
+/*
+ * Returns true if dir is the same as or a parent of file
+ */
+function contains(dir, file) {
+    return (file === dir || file.indexOf(dir + '/') === 0);
+}
+
+
+/*
+ * Watches the files and directories in opts.paths (recursing into
+ * directories), and calls opts.onChange(files, callback) with the changed
+ * files once opts.delay milliseconds have passed without any further
+ * changes.  Changes that happen while onChange is running are held until
+ * it calls back.
+ *
+ * Returns an object with a close() method that stops watching.
+ */
+function watchPaths(opts) {
+    var pending = {};
+    var roots = opts.paths.map(function (p) { return path.resolve(p); });
+    var running = false;
+    var timer = null;
+    var watchers = {};
+
+    function covered(file) {
+        if (file.split('/').indexOf('.git') !== -1) {
+            return false;
+        }
+
+        for (var r in roots) {
+            if (contains(roots[r], file)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function flush() {
+        timer = null;
+        if (running) {
+            return;
+        }
+
+        var files = Object.keys(pending).filter(function (f) {
+            try {
+                fs.statSync(f);
+            } catch (statErr) {
+                debug('watch: "%s" no longer exists: not pushing', f);
+                return false;
+            }
+
+            return true;
+        });
+        pending = {};
+
+        if (files.length === 0) {
+            return;
+        }
+
+        running = true;
+        opts.onChange(files, function () {
+            running = false;
+            if (Object.keys(pending).length !== 0) {
+                schedule();
+            }
+        });
+    }
+
+    function schedule() {
+        if (timer) {
+            clearTimeout(timer);
+        }
+        timer = setTimeout(flush, opts.delay);
+    }
+
+    function onEvent(dir, event, name) {
+        if (!name || IGNORE_RE.test(name)) {
+            return;
+        }
+
+        var file = path.join(dir, name);
+        if (!covered(file)) {
+            return;
+        }
+
+        fs.stat(file, function (err, stat) {
+            if (err) {
+                // Deleted or renamed away: nothing to push, and if it was
+                // a directory, its watchers are no longer any use
+                removeDir(file);
+                return;
+            }
+
+            if (stat.isDirectory()) {
+                // Only push directories that have just appeared - changes
+                // to files in existing ones are picked up by their own
+                // watchers.  A directory that has been removed and created
+                // again needs new ones.
+                if (watchers.hasOwnProperty(file)
+                    && watchers[file].ino === stat.ino) {
+                    return;
+                }
+                removeDir(file);
+                addDir(file);
+            }
+
+            debug('watch: %s "%s"', event, file);
+            pending[file] = true;
+            schedule();
+        });
+    }
+
+    // Stops watching dir and any directories under it
+    function removeDir(dir) {
+        Object.keys(watchers).forEach(function (w) {
+            if (contains(dir, w)) {
+                debug('watch: no longer watching "%s"', w);
+                watchers[w].watcher.close();
+                delete watchers[w];
+            }
+        });
+    }
+
+    function addDir(dir) {
+        var watcher;
+
+        if (watchers.hasOwnProperty(dir)) {
+            return;
+        }
+
+        try {
+            watcher = fs.watch(dir, onEvent.bind(null, dir));
+            watchers[dir] = { ino: fs.statSync(dir).ino, watcher: watcher };
+        } catch (watchErr) {
+            if (watcher) {
+                watcher.close();
+            }
+            verbose('Could not watch "%s": %s', dir, watchErr.message);
+            return;
+        }
+        debug('watch: watching "%s"', dir);
+
+        // Some platforms report errors (eg: EPERM) when the directory is
+        // removed
+        watcher.on('error', function (err) {
+            debug('watch: error watching "%s": %s', dir, err.message);
+            if (watchers.hasOwnProperty(dir)
+                && watchers[dir].watcher === watcher) {
+                removeDir(dir);
+            }
+        });
+
+        if (!covered(dir)) {
+            // The parent of a single watched file: don't recurse
+            return;
+        }
+
+        // The directory (or things in it) can go away before we get here:
+        // there's nothing to watch for those
+        var names;
+        try {
+            names = fs.readdirSync(dir);
+        } catch (readErr) {
+            if (readErr.code !== 'ENOENT') {
+                verbose('Could not watch "%s": %s', dir, readErr.message);
+            }
+            return;
+        }
+
+        names.forEach(function (name) {
+            var sub = path.join(dir, name);
+            var stat;
+
+            if (name === '.git') {
+                return;
+            }
+
+            try {
+                stat = fs.lstatSync(sub);
+            } catch (statErr) {
+                if (statErr.code !== 'ENOENT') {
+                    verbose('Could not watch "%s": %s', sub,
+                        statErr.message);
+                }
+                return;
+            }
+
+            if (stat.isDirectory()) {
+                addDir(sub);
+            }
+        });
+    }
+
+    roots.forEach(function (root) {
+        var stat;
+        try {
+            stat = fs.statSync(root);
+        } catch (statErr) {
+            verbose('Not watching "%s": %s', root, statErr.message);
+            return;
+        }
+
+        addDir(stat.isDirectory() ? root : path.dirname(root));
+    });
+
+    return {
+        close: function () {
+            if (timer) {
+                clearTimeout(timer);
+            }
+
+            for (var w in watchers) {
+                watchers[w].watcher.close();
+            }
+            watchers = {};
+        }
+    };
+}
+
+
+
+module.exports = {
+    watchPaths: watchPaths
+};